@@ -1,4 +1,5 @@
 import express from "express";
+import axios from "axios";
 import dotenv from "dotenv";
 import cors from "cors";
 import { createClient } from "@supabase/supabase-js";
@@ -6,45 +7,49 @@ import bodyParser from "body-parser";
 import cookieParser from "cookie-parser";
 import { z } from "zod";
 import PDFDocument from "pdfkit";
+import nodemailer from "nodemailer";
 import QRCode from "qrcode";
+import swaggerUiDist from "swagger-ui-dist";
 import { v4 as uuidv4 } from "uuid";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs/promises";
+import path from "path";
+import http from "http";
+import { pathToFileURL } from "url";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import countries from "world-countries";
+import {
+  getProvinces,
+  getDistricts,
+  getSubDistricts,
+} from "thai-address-universal";
 
-dotenv.config();
+dotenv.config({ quiet: true });
 const app = express();
 const PORT = process.env.PORT || 5001;
+const [command] = process.argv.slice(2);
+// The tests import this file; only `node server.js` starts the server or a
+// command.
+const isEntryPoint =
+  Boolean(process.argv[1]) &&
+  import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href;
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
-const formatDate = (dateString, includeTime = false) => {
-  if (!dateString) return "-";
-  const date = new Date(dateString);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, "0");
-  const day = String(date.getDate()).padStart(2, "0");
-
-  if (includeTime) {
-    const hours = String(date.getHours()).padStart(2, "0");
-    const minutes = String(date.getMinutes()).padStart(2, "0");
-    const seconds = String(date.getSeconds()).padStart(2, "0");
-    return `${year}/${month}/${day} ${hours}:${minutes}:${seconds}`;
-  }
-
-  return `${year}/${month}/${day}`;
-};
-
-app.use(
-  cors({
-    origin: "*",
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
-  })
+// req.ip feeds the search limits, so it has to be the client and not the
+// load balancer. By default X-Forwarded-For is only believed from private
+// addresses, where proxies usually sit; set TRUST_PROXY to the proxy's
+// addresses or its hop count when it is elsewhere.
+const TRUST_PROXY =
+  process.env.TRUST_PROXY || "loopback, linklocal, uniquelocal";
+app.set(
+  "trust proxy",
+  /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY
 );
-app.use(express.json());
-app.use(bodyParser.urlencoded({ extended: true }));
-app.use(cookieParser());
 
 const personalInfoSchema = z.object({
   family_name: z.string().min(1),
@@ -62,6 +67,8 @@ const personalInfoSchema = z.object({
     .transform((val) => String(val)),
   phone_no: z.union([z.string(), z.number()]).transform((val) => String(val)),
   date_of_birth: z.string(),
+  // Forms send an empty string when the traveller leaves email blank.
+  email: z.union([z.literal(""), z.email()]).optional(),
 });
 
 const tripAccommodationSchema = z.object({
@@ -87,773 +94,7166 @@ const tripAccommodationSchema = z.object({
   address: z.string(),
 });
 
-const createPdf = async (
-  personalData,
-  tripData,
-  arrivalCardNo,
-  fullUpdateUrl,
-  uniqueId
-) => {
-  return new Promise(async (resolve, reject) => {
-    const doc = new PDFDocument({ margin: 30, font: "Times-Roman" });
-    const chunks = [];
-
-    doc.on("data", (chunk) => chunks.push(chunk));
-    doc.on("end", () => {
-      console.log("PDF created in memory");
-      resolve({ chunks });
-    });
-    doc.on("error", (err) => reject(err));
-
-    try {
-      doc.image("./public/govLogo.jpg", (doc.page.width - 200) / 2, 15, {
-        fit: [200, 200],
-      });
-      doc.moveDown(10);
-
-      doc
-        .fontSize(10)
-        .text(
-          "Thank you for using the Thailand Digital Arrival Card. " +
-            "This Thailand Digital Arrival Card is only valid for one time use for travel on the expected date of " +
-            "arrival indicated below. You may choose to download or print a copy of this and retain it for the duration of " +
-            "your stay. Please note that the Thailand Digital Arrival Card is not a visa. The use of the Thailand Digital " +
-            "Arrival Card e-Service is free of charge."
-        );
-      doc.moveDown(0.5);
-
-      doc
-        .fontSize(10)
-        .text(
-          "Kindly ensure that the information provided is accurate and aligns with your travel documents " +
-            "to avoid any issues upon your arrival in Thailand."
-        );
-      doc.moveDown(0.5);
-
-      doc
-        .fontSize(10)
-        .text(
-          "You can update your Thailand Digital Arrival Card information through the official " +
-            "website at https://tdac.immigration.go.th/arrival-card or by scanning the QR code " +
-            "provided below, before entering Thailand. For more information on Thailand's entry " +
-            "requirements, please visit the official website."
-        );
-      doc.moveDown(1.5);
-
-      const qrUpdate = await QRCode.toBuffer(fullUpdateUrl, {
-        errorCorrectionLevel: "H",
-        width: 90,
-      });
-      const startY = doc.y;
-      doc.image(qrUpdate, doc.page.margins.left, startY, {
-        fit: [90, 90],
-        margin: 1,
-      });
-
-      doc
-        .fontSize(10)
-        .text(
-          "To update your information or for further assistance, please scan the QR code",
-          doc.page.margins.left + 120,
-          startY + 50,
-          {
-            width:
-              doc.page.width - doc.page.margins.left - doc.page.margins.right,
-            align: "left",
-          }
-        );
-      doc.y = startY + 120;
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS.info;
 
-      doc.x = doc.page.margins.left;
-      const transactionDate = formatDate(new Date().toISOString(), true);
-      doc.fontSize(10).text(`Transaction Date: ${transactionDate}`);
-      doc.moveDown(1.5);
+const requestContext = new AsyncLocalStorage();
 
-      const rectY = doc.y;
-      const rectHeight = 20;
-      const rectWidth =
-        doc.page.width - doc.page.margins.left - doc.page.margins.right;
-      doc.rect(doc.page.margins.left, rectY, rectWidth, rectHeight).stroke();
+const maskEnds = (value) => {
+  const text = String(value);
+  return text.length <= 4
+    ? "****"
+    : text.slice(0, 2) + "*".repeat(text.length - 4) + text.slice(-2);
+};
 
-      const fullName = `${personalData.first_name} ${personalData.family_name}`
-        .trim()
-        .toUpperCase();
-      doc
-        .fontSize(10)
-        .text(fullName, doc.page.margins.left + 10, rectY + rectHeight / 3, {
-          width: rectWidth / 2,
-          align: "left",
-        });
+// Identifiers keep enough to tell records apart when debugging.
+const LOG_MASKS = {
+  passport_no: maskEnds,
+  phone_no: maskEnds,
+  email: (value) => String(value).replace(/^(.)[^@]*/, "$1***"),
+};
 
-      doc
-        .fontSize(10)
-        .text(
-          `Date of Arrival                         ${formatDate(
-            tripData.date_of_arrival
-          )}  `,
-          doc.page.margins.left + rectWidth / 2,
-          rectY + rectHeight / 3,
-          { width: rectWidth / 2 - 84, align: "right" }
-        );
+// Everything on the personal info form, plus the accommodation address.
+const REDACTED_FIELDS = new Set([
+  ...Object.keys(personalInfoSchema.shape),
+  "address",
+  "post_code",
+  "sub_district",
+  "district_area",
+  "mrz",
+  "line1",
+  "line2",
+  "qrcode_data",
+  "editToken",
+  "resumeToken",
+  "authorization",
+  "cookie",
+]);
 
-      const rect2Y = rectY + rectHeight;
-      const rect2Height = 140;
-      doc.rect(doc.page.margins.left, rect2Y, rectWidth, rect2Height).stroke();
+// Postgres quotes the offending values in constraint errors, e.g.
+// `Key (passport_no)=(AB123) already exists`, and error text can carry
+// addresses, so strings are scrubbed of both before they are logged.
+const scrubText = (text) =>
+  text
+    .replace(
+      /(Key \([^)]*\)=)\(.*?\)(?=\s+(?:already exists|is not present|conflicts with))/gs,
+      "$1([REDACTED])"
+    )
+    .replace(/(Failing row contains )\(.*\)/gs, "$1([REDACTED])")
+    .replace(/[^\s@"'()<>,;:]+@[^\s@"'()<>,;:]+\.[^\s@"'()<>,;:]+/g, "[EMAIL]");
 
-      const qrBuffer = await QRCode.toBuffer(uniqueId, { width: 120 });
-      doc.image(qrBuffer, doc.page.margins.left + 5, rect2Y + 5, {
-        fit: [120, 120],
-      });
+const redact = (value, key, depth = 0) => {
+  if (value === null || value === undefined) return value;
+  if (key !== undefined && REDACTED_FIELDS.has(key)) {
+    return LOG_MASKS[key]?.(value) ?? "[REDACTED]";
+  }
+  if (value instanceof Error) {
+    return {
+      ...redact({ ...value }, undefined, depth + 1),
+      name: value.name,
+      message: scrubText(value.message),
+      stack: value.stack && scrubText(value.stack),
+    };
+  }
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (typeof value === "string") return scrubText(value);
+  if (typeof value !== "object") return value;
+  if (depth > 8) return "[Object]";
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, undefined, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([field, item]) => [
+      field,
+      redact(item, field, depth + 1),
+    ])
+  );
+};
 
-      const qrWidth = 130;
-      const remainingWidth = rectWidth - qrWidth;
+// CLI commands print their results on stdout, so they log to stderr.
+const logStream = command ? process.stderr : process.stdout;
 
-      doc
-        .fontSize(10)
-        .text(
-          "TH Digital Arrival Card No.",
-          doc.page.margins.left + qrWidth,
-          rect2Y + 10,
-          { width: remainingWidth / 3 - 10, align: "center" }
-        );
-      doc
-        .fontSize(10)
-        .text(
-          "Passport No.",
-          doc.page.margins.left + qrWidth + remainingWidth / 3,
-          rect2Y + 10,
-          { width: remainingWidth / 3 - 10, align: "center" }
-        );
-      doc
-        .fontSize(10)
-        .text(
-          "Flight No./Vehicle No.",
-          doc.page.margins.left + qrWidth + (remainingWidth * 2) / 3,
-          rect2Y + 10,
-          { width: remainingWidth / 3 - 10, align: "center" }
-        );
+// One JSON object per line. Personal data in fields is redacted, so pass
+// it as a field, never interpolated into the message.
+const writeLog = (level, message, fields = {}) => {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  logStream.write(
+    JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      requestId: requestContext.getStore()?.requestId,
+      ...redact(fields),
+    }) + "\n"
+  );
+};
 
-      doc
-        .fontSize(10)
-        .text(arrivalCardNo, doc.page.margins.left + qrWidth, rect2Y + 35, {
-          width: remainingWidth / 3 - 10,
-          align: "center",
-        });
-      doc
-        .fontSize(10)
-        .text(
-          personalData.passport_no.toUpperCase(),
-          doc.page.margins.left + qrWidth + remainingWidth / 3,
-          rect2Y + 35,
-          { width: remainingWidth / 3 - 10, align: "center" }
-        );
-      doc
-        .fontSize(10)
-        .text(
-          tripData.flight_vehicle_no_arrival.toUpperCase(),
-          doc.page.margins.left + qrWidth + (remainingWidth * 2) / 3,
-          rect2Y + 35,
-          { width: remainingWidth / 3 - 10, align: "center" }
-        );
+const logger = Object.fromEntries(
+  Object.keys(LOG_LEVELS).map((level) => [
+    level,
+    (message, fields) => writeLog(level, message, fields),
+  ])
+);
 
-      doc.y = rect2Y + rect2Height + 10;
-      doc.addPage();
+// Without a configured secret the server makes up a throwaway one so it
+// still starts locally. Whatever it protects is lost on the next restart,
+// so in production the server refuses to start instead.
+const warnEphemeralSecret = (name, consequence, fields) => {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(`${name} must be set when NODE_ENV is production`);
+  }
+  logger.warn(`${name} is not set, ${consequence}`, fields);
+};
 
-      //Next Page
-      doc.fontSize(10).text(`TH Digital Arrival Card No.  ${arrivalCardNo}`);
-      doc.moveDown(1.5);
-      doc.fontSize(10).text("Personal Information");
-      let lineY = doc.y;
-      doc
-        .moveTo(doc.page.margins.left, lineY)
-        .lineTo(doc.page.width - doc.page.margins.right, lineY)
-        .stroke();
-      doc.moveDown(2);
-
-      doc.fontSize(10);
-      const labelWidth = 200;
-      const valueX = doc.page.width / 2 + 10;
-
-      const drawField = (label, value) => {
-        const y = doc.y;
-        doc.text(label, doc.page.width / 2 - labelWidth, y, {
-          width: labelWidth,
-          align: "right",
-          continued: false,
-        });
-        doc.text(value, valueX, y, {
-          width: doc.page.width - valueX - 50,
-          align: "left",
-          continued: false,
-        });
-        doc.moveDown(0.3);
-      };
+// The error itself goes to the log. Database and upstream messages can
+// quote personal data, so the client only gets a generic message.
+const sendServerError = (res) =>
+  res.status(500).json({ success: false, message: "Internal server error" });
 
-      drawField(
-        "Full Name :",
-        `${personalData.first_name} ${personalData.middle_name || ""} ${
-          personalData.family_name
-        }`
-          .trim()
-          .toUpperCase()
-      );
-      doc.moveDown(0.3);
-      drawField("Gender :", personalData.gender.toUpperCase());
-      doc.moveDown(0.3);
-      drawField(
-        "Nationality/Citizenship :",
-        personalData.selected_nationality.toUpperCase()
-      );
-      doc.moveDown(0.3);
-      drawField("Passport No. :", personalData.passport_no.toUpperCase());
-      doc.moveDown(0.3);
-      drawField("Date of Birth :", formatDate(personalData.date_of_birth));
-      doc.moveDown(0.3);
-      drawField("Occupation :", personalData.occupation.toUpperCase());
-      doc.moveDown(0.3);
-      drawField(
-        "Country/Territory of Residence :",
-        personalData.selected_country.toUpperCase()
-      );
-      doc.moveDown(0.3);
-      drawField(
-        "City/State of Residence :",
-        personalData.selected_city.toUpperCase()
-      );
-      doc.moveDown(0.3);
-      drawField("Visa No. :", (personalData.visa_no || "-").toUpperCase());
-      doc.moveDown(0.3);
-      drawField(
-        "Phone No. :",
-        `+${personalData.phone_no_code} ${personalData.phone_no}`
-      );
-      doc.moveDown(1);
-
-      doc.x = doc.page.margins.left;
-      doc.fontSize(10).text("Trip Information");
-      lineY = doc.y;
-      doc
-        .moveTo(doc.page.margins.left, lineY)
-        .lineTo(doc.page.width - doc.page.margins.right, lineY)
-        .stroke();
-      doc.moveDown(2);
-
-      doc.x = doc.page.margins.left;
-      doc.fontSize(10).text("Arrival Information");
-      doc.moveDown(0.3);
-      drawField("Date of Arrival :", formatDate(tripData.date_of_arrival));
-      doc.moveDown(0.3);
-      drawField("Country Boarded :", tripData.country_boarded.toUpperCase());
-      doc.moveDown(0.3);
-      drawField(
-        "Purpose of Travel :",
-        tripData.purpose_of_travel.toUpperCase()
-      );
-      doc.moveDown(0.3);
-      drawField(
-        "Mode of Travel :",
-        tripData.mode_of_travel_arrival.toUpperCase()
-      );
-      doc.moveDown(0.3);
-      drawField(
-        "Mode of Transport :",
-        tripData.mode_of_transport_arrival.toUpperCase()
-      );
-      doc.moveDown(0.3);
-      drawField(
-        "Flight No./Vehicle No. :",
-        tripData.flight_vehicle_no_arrival.toUpperCase()
-      );
-      doc.moveDown(0.8);
+const REQUEST_ID = /^[\w.:-]{1,100}$/;
 
-      doc.x = doc.page.margins.left;
-      doc.fontSize(10).text("Departure Information");
-      doc.moveDown(0.3);
-      drawField(
-        "Date of Departure :",
-        tripData.date_of_departure
-          ? formatDate(tripData.date_of_departure)
-          : "-"
-      );
-      doc.moveDown(0.3);
-      drawField(
-        "Mode of Travel :",
-        (tripData.mode_of_travel_departure || "-").toUpperCase()
-      );
-      doc.moveDown(0.3);
-      drawField(
-        "Mode of Transport :",
-        (tripData.mode_of_transport_departure || "-").toUpperCase()
-      );
-      doc.moveDown(0.3);
-      drawField(
-        "Flight No./Vehicle No. :",
-        (tripData.flight_vehicle_no_departure || "-").toUpperCase()
-      );
-      doc.moveDown(0.8);
-
-      doc.x = doc.page.margins.left;
-      doc.fontSize(10).text("Accommodation Information");
-      lineY = doc.y;
-      doc
-        .moveTo(doc.page.margins.left, lineY)
-        .lineTo(doc.page.width - doc.page.margins.right, lineY)
-        .stroke();
-      doc.moveDown(2);
-      drawField(
-        "Type of Accommodation :",
-        tripData.type_of_accommodation.toUpperCase()
-      );
-      doc.moveDown(0.3);
-      drawField("Post Code :", tripData.post_code);
-      doc.moveDown(0.3);
-      drawField(
-        "Address :",
-        `${tripData.province}, ${tripData.district_area}, ${tripData.sub_district}, `.toUpperCase() +
-          `${tripData.address}`
-      );
+// Tags every log line written while handling a request with its id and
+// writes one summary line when the response is sent. The route pattern is
+// logged rather than the URL, which can hold card numbers and tokens.
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  const requestId = REQUEST_ID.test(incoming ?? "")
+    ? incoming
+    : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  res.set("X-Request-Id", requestId);
 
-      doc.end(); // This triggers the 'end' event
-    } catch (error) {
-      reject(error);
-    }
+  res.on("finish", () => {
+    const status = res.statusCode;
+    writeLog(
+      status >= 500 ? "error" : status >= 400 ? "warn" : "info",
+      "request",
+      {
+        requestId,
+        method: req.method,
+        route: req.route ? req.baseUrl + req.route.path : req.path,
+        status,
+        latencyMs: Number(process.hrtime.bigint() - started) / 1e6,
+      }
+    );
   });
-};
 
-const healthSchema = z.object({
-  countries_visited: z
-    .array(z.string())
-    .min(1, "Please select at least one country"),
+  requestContext.run({ requestId }, next);
 });
 
-app.post("/api/create", async (req, res) => {
-  const { personalInfo, tripInfo, health } = req.body;
-  console.log(req.body);
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
 
-  try {
-    const validationPI = personalInfoSchema.safeParse(personalInfo);
-    const validationTR = tripAccommodationSchema.safeParse(tripInfo);
-    const validationH = healthSchema.safeParse(health);
+const formatDate = (dateString, includeTime = false) => {
+  if (!dateString) return "-";
+  const date = new Date(dateString);
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
 
-    if (
-      !validationPI.success ||
-      !validationTR.success ||
-      !validationH.success
-    ) {
-      const errors = {
-        personalInfo: validationPI.error?.fieldErrors || {},
-        tripInfo: validationTR.error?.fieldErrors || {},
-        health: validationH.error?.fieldErrors || {},
-      };
-      return res.status(400).json({ success: false, errors });
-    }
+  if (includeTime) {
+    const hours = String(date.getHours()).padStart(2, "0");
+    const minutes = String(date.getMinutes()).padStart(2, "0");
+    const seconds = String(date.getSeconds()).padStart(2, "0");
+    return `${year}/${month}/${day} ${hours}:${minutes}:${seconds}`;
+  }
 
-    const { data: profileData, error: profileError } = await supabase
-      .from("profiles")
-      .insert([validationPI.data])
-      .select();
+  return `${year}/${month}/${day}`;
+};
 
-    if (profileError) throw profileError;
+const THAILAND_TIMEZONE = "Asia/Bangkok";
 
-    const travelData = {
-      ...validationTR.data,
-      countries_visited: health.countries_visited,
-    };
+const toDateOnly = (value) => String(value).slice(0, 10);
 
-    const { data: trData, error: trError } = await supabase
-      .from("travel_information")
-      .insert([travelData])
-      .select();
+const isValidDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}/.test(value ?? "") &&
+  !Number.isNaN(Date.parse(toDateOnly(value)));
 
-    if (trError) throw trError;
+const addDays = (dateOnly, days) => {
+  const date = new Date(`${dateOnly}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
 
-    const uniqueId = uuidv4();
-    let arrivalCardNo;
-    let isUnique = false;
-    let attempts = 0;
-    const maxAttempts = 10;
-    while (!isUnique && attempts < maxAttempts) {
-      arrivalCardNo = Math.floor(10000 + Math.random() * 90000).toString();
+const todayInThailand = () =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: THAILAND_TIMEZONE }).format(
+    new Date()
+  );
 
-      const { data: existingCard, error: checkError } = await supabase
-        .from("entry_form")
-        .select("arrival_card_no")
-        .eq("arrival_card_no", arrivalCardNo)
-        .single();
-
-      if (checkError && checkError.code === "PGRST116") {
-        isUnique = true;
-      } else if (checkError) {
-        console.error("Error checking arrival card number:", checkError);
-        throw new Error(
-          `Failed to verify arrival card number: ${checkError.message}`
-        );
-      } else {
-        attempts++;
-        console.log(
-          `Arrival card number ${arrivalCardNo} already exists, generating new one (attempt ${attempts})`
-        );
-      }
-    }
+app.use(
+  cors({
+    origin: "*",
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization"],
+  })
+);
+app.use(express.json());
+app.use(bodyParser.urlencoded({ extended: true }));
+app.use(cookieParser());
 
-    if (!isUnique) {
-      throw new Error(
-        "Failed to generate unique arrival card number after maximum attempts"
-      );
-    }
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash("sha256").update(String(a)).digest();
+  const hashB = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
 
-    console.log(`Generated unique arrival card number: ${arrivalCardNo}`);
+const requireApiKey = (envName) => (req, res, next) => {
+  const expected = process.env[envName];
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : null;
 
-    const personalData = validationPI.data;
-    const tripData = validationTR.data;
+  if (!expected || !token || !safeEqual(token, expected)) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  next();
+};
 
-    const updateUrl = "http://localhost:5173/update/search";
+const requireOfficer = requireApiKey("OFFICER_API_KEY");
+const requireAdmin = requireApiKey("ADMIN_API_KEY");
 
-    const params = new URLSearchParams({
-      cardNo: arrivalCardNo,
-      dob: personalData.date_of_birth,
-      doa: tripData.date_of_arrival,
-      nat: personalData.selected_nationality,
-    });
+const CARD_GRACE_DAYS = Number(process.env.CARD_GRACE_DAYS ?? 1);
 
-    const fullUpdateUrl = `${updateUrl}?${params.toString()}`;
+// QR_SIGNING_KEYS is a comma separated list of "kid:key" pairs, where key is
+// a base64 PKCS#8 DER Ed25519 private key, e.g. from
+//   openssl genpkey -algorithm ed25519 -outform DER | base64
+// The first key signs new cards; the rest stay published so cards signed
+// before a rotation keep verifying.
+const loadQrSigningKeys = () => {
+  const entries = (process.env.QR_SIGNING_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
 
-    // FIXED: Only destructure chunks
-    const { chunks } = await createPdf(
-      personalData,
-      tripData,
-      arrivalCardNo,
-      fullUpdateUrl,
-      uniqueId
+  if (entries.length === 0) {
+    const kid = `dev-${crypto.randomBytes(4).toString("hex")}`;
+    warnEphemeralSecret(
+      "QR_SIGNING_KEYS",
+      "cards signed now fail verification after a restart",
+      { kid }
     );
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+    return [{ kid, privateKey, publicKey }];
+  }
 
-    const pdfBuffer = Buffer.concat(chunks);
-
-    const fileName = `${uniqueId}.pdf`;
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from("pdfs")
-      .upload(fileName, pdfBuffer, {
-        contentType: "application/pdf",
-        upsert: false,
-      });
-
-    if (uploadError) {
-      console.error("Upload error:", uploadError);
-      throw new Error(`Failed to upload PDF: ${uploadError.message}`);
+  return entries.map((entry) => {
+    const separator = entry.indexOf(":");
+    const kid = entry.slice(0, separator);
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.from(entry.slice(separator + 1), "base64"),
+      format: "der",
+      type: "pkcs8",
+    });
+    if (!kid || privateKey.asymmetricKeyType !== "ed25519") {
+      throw new Error(`Invalid QR signing key entry "${kid}"`);
     }
+    return { kid, privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  });
+};
 
-    console.log("PDF uploaded successfully:", uniqueId);
+const qrSigningKeys = loadQrSigningKeys();
 
-    const { data: publicUrlData } = supabase.storage
-      .from("pdfs")
-      .getPublicUrl(fileName);
+const base64UrlJson = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
 
-    const publicUrl = publicUrlData.publicUrl;
-    console.log("Public URL:", publicUrl);
+// Salted with the card number so the same passport hashes differently on
+// every card. Devices recompute this from the passport they are holding.
+const hashPassport = (arrivalCardNo, passportNo) =>
+  crypto
+    .createHash("sha256")
+    .update(`${arrivalCardNo}:${String(passportNo).trim().toUpperCase()}`)
+    .digest()
+    .subarray(0, 16)
+    .toString("base64url");
 
-    const finalData = {
-      profile_id: profileData[0].id,
-      tr_id: trData[0].id,
-      filepath: publicUrl,
-      qrcode_data: uniqueId,
-      arrival_card_no: arrivalCardNo,
-    };
+// Compact JWS (EdDSA) so handheld devices can check cards offline with any
+// JOSE library and the keys from /api/qr-keys.
+const signCardQr = (arrivalCardNo, personalData, tripData) => {
+  const [{ kid, privateKey }] = qrSigningKeys;
+  const arrival = toDateOnly(tripData.date_of_arrival);
+  const signingInput = `${base64UrlJson({ alg: "EdDSA", kid })}.${base64UrlJson(
+    {
+      no: arrivalCardNo,
+      ph: hashPassport(arrivalCardNo, personalData.passport_no),
+      arr: arrival,
+      exp: addDays(arrival, CARD_GRACE_DAYS),
+    }
+  )}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString("base64url")}`;
+};
 
-    const { data: formData, error: formError } = await supabase
-      .from("entry_form")
-      .insert([finalData])
-      .select();
+// Returns the payload of a valid signed QR, or null if it is malformed,
+// signed with an unknown key or has been tampered with.
+const verifyCardQr = (token) => {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
 
-    if (formError) {
-      console.error("Database insert error:", formError);
-      throw new Error(`Failed to insert into database: ${formError.message}`);
-    }
+  try {
+    const [header, payload, signature] = parts;
+    const { alg, kid } = JSON.parse(Buffer.from(header, "base64url"));
+    const key = qrSigningKeys.find((candidate) => candidate.kid === kid);
+    if (alg !== "EdDSA" || !key) return null;
 
-    res.json({
-      success: true,
-      profile: profileData,
-      travel: trData,
-      entry: formData,
-      uniqueId,
-      pdfUrl: publicUrl,
-      arrivalCardNo,
-    });
-  } catch (error) {
-    console.error("Error inserting data:", error);
-    res.status(500).json({ success: false, message: error.message });
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${header}.${payload}`),
+      key.publicKey,
+      Buffer.from(signature, "base64url")
+    );
+    if (!valid) return null;
+
+    return { kid, ...JSON.parse(Buffer.from(payload, "base64url")) };
+  } catch {
+    return null;
   }
+};
+
+app.get("/api/qr-keys", (req, res) => {
+  res.set("Cache-Control", "public, max-age=3600").json({
+    success: true,
+    activeKid: qrSigningKeys[0].kid,
+    keys: qrSigningKeys.map(({ kid, publicKey }) => ({
+      ...publicKey.export({ format: "jwk" }),
+      kid,
+      alg: "EdDSA",
+      use: "sig",
+    })),
+  });
 });
 
-app.put("/api/update-search", async (req, res) => {
-  const {
-    arrivalCardNo,
-    date_of_birth,
-    date_of_arrival,
-    selected_nationality,
-  } = req.body;
+// FIELD_ENCRYPTION_KEYS is a comma separated list of "version:key" pairs,
+// where key is 32 random bytes in base64, e.g. from
+//   openssl rand -base64 32
+// The first key encrypts; the rest only decrypt, until
+// `npm run encrypt-profiles` has rewritten the rows that still use them.
+const loadFieldEncryptionKeys = () => {
+  const entries = (process.env.FIELD_ENCRYPTION_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
 
-  try {
-    if (
-      !arrivalCardNo ||
-      !date_of_birth ||
-      !date_of_arrival ||
-      !selected_nationality
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: "All search fields are required",
-      });
+  if (entries.length === 0) {
+    const version = `dev-${crypto.randomBytes(4).toString("hex")}`;
+    warnEphemeralSecret(
+      "FIELD_ENCRYPTION_KEYS",
+      "profiles written now cannot be read after a restart",
+      { version }
+    );
+    return [{ version, key: crypto.randomBytes(32) }];
+  }
+
+  return entries.map((entry) => {
+    const separator = entry.indexOf(":");
+    const version = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), "base64");
+    if (!version || key.length !== 32) {
+      throw new Error(`Invalid field encryption key entry "${version}"`);
     }
+    return { version, key };
+  });
+};
 
-    const { data, error } = await supabase
-      .from("entry_form")
-      .select(
-        `
-        *,
-        profiles!inner(
-          *
-        ),
-        travel_information!inner(
-          *
-        )
-      `
-      )
-      .eq("arrival_card_no", arrivalCardNo)
-      .eq("profiles.date_of_birth", date_of_birth)
-      .eq("profiles.selected_nationality", selected_nationality)
-      .eq("travel_information.date_of_arrival", date_of_arrival)
-      .single();
+const fieldEncryptionKeys = loadFieldEncryptionKeys();
 
-    if (error) {
-      console.error("Supabase error:", error);
+// BLIND_INDEX_KEY is 32 random bytes in base64, like the encryption keys.
+// Changing it breaks every lookup until
+// `npm run encrypt-profiles -- --all` has recomputed the indexes.
+const loadBlindIndexKey = () => {
+  if (!process.env.BLIND_INDEX_KEY) {
+    warnEphemeralSecret(
+      "BLIND_INDEX_KEY",
+      "profiles written now cannot be searched after a restart"
+    );
+    return crypto.randomBytes(32);
+  }
 
-      if (error.code === "PGRST116") {
-        return res.status(404).json({
-          success: false,
-          message:
-            "No matching record found. Please check your information and try again.",
-        });
-      }
+  const key = Buffer.from(process.env.BLIND_INDEX_KEY, "base64");
+  if (key.length !== 32) {
+    throw new Error("BLIND_INDEX_KEY must be 32 bytes in base64");
+  }
+  return key;
+};
 
-      throw error;
-    }
+const blindIndexKey = loadBlindIndexKey();
 
-    if (!data) {
-      return res.status(404).json({
-        success: false,
-        message:
-          "No matching record found. Please check your information and try again.",
-      });
+const ENCRYPTED_PROFILE_FIELDS = [
+  "passport_no",
+  "visa_no",
+  "phone_no",
+  "date_of_birth",
+  "email",
+];
+
+// Values are normalised first so lookups match however they were typed.
+const BLIND_INDEXES = {
+  passport_no: (value) => normalizePassportNo(value),
+  date_of_birth: toDateOnly,
+};
+
+const blindIndex = (field, value) =>
+  crypto
+    .createHmac("sha256", blindIndexKey)
+    .update(`${field}:${BLIND_INDEXES[field](value)}`)
+    .digest("base64url");
+
+// AES-256-GCM, stored as "version:iv:tag:ciphertext". The field name is
+// authenticated too, so a value copied into another column will not decrypt.
+const encryptField = (field, value) => {
+  if (value === null || value === undefined) return value;
+
+  const { version, key } = fieldEncryptionKeys[0];
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(field));
+  const ciphertext = Buffer.concat([
+    cipher.update(String(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [version, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString("base64url") : part))
+    .join(":");
+};
+
+const decryptField = (field, value) => {
+  if (value === null || value === undefined) return value;
+  // Emails were encrypted later than the other fields. An address never
+  // holds ":", so one still in plaintext is returned as it is until
+  // `npm run encrypt-profiles` has run.
+  if (field === "email" && !String(value).includes(":")) return value;
+
+  const [version, iv, tag, ciphertext] = String(value).split(":");
+  const key = fieldEncryptionKeys.find((entry) => entry.version === version);
+  if (!key) throw new Error(`Unknown field encryption key "${version}"`);
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key.key,
+    Buffer.from(iv, "base64url")
+  );
+  decipher.setAAD(Buffer.from(field));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64url")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+const mapEncryptedFields = (fields, transform) =>
+  fields &&
+  Object.fromEntries(
+    Object.entries(fields).map(([field, value]) => [
+      field,
+      ENCRYPTED_PROFILE_FIELDS.includes(field)
+        ? transform(field, value)
+        : value,
+    ])
+  );
+
+// Expects every encrypted field, even on updates, so the whole row moves to
+// the current key version at once.
+const encryptProfile = (profile) => ({
+  ...mapEncryptedFields(profile, encryptField),
+  ...Object.fromEntries(
+    Object.keys(BLIND_INDEXES).map((field) => [
+      `${field}_bidx`,
+      profile[field] == null ? null : blindIndex(field, profile[field]),
+    ])
+  ),
+  encryption_key_version: fieldEncryptionKeys[0].version,
+});
+
+// Rows written before encryption have no key version and are returned as
+// they are until `npm run encrypt-profiles` has run.
+const decryptProfile = (profile) => {
+  if (!profile) return profile;
+
+  const {
+    encryption_key_version,
+    passport_no_bidx,
+    date_of_birth_bidx,
+    ...fields
+  } = profile;
+  return encryption_key_version
+    ? mapEncryptedFields(fields, decryptField)
+    : fields;
+};
+
+const decryptEntry = (entry) =>
+  entry && { ...entry, profiles: decryptProfile(entry.profiles) };
+
+// Revisions keep copies of the profile in their snapshot and change list.
+const mapRevisionFields = (revision, transform) => ({
+  ...revision,
+  changes: revision.changes?.map((change) => {
+    const [section, field] = change.field.split(".");
+    return section === "personalInfo" &&
+      ENCRYPTED_PROFILE_FIELDS.includes(field)
+      ? {
+          ...change,
+          from: transform(field, change.from),
+          to: transform(field, change.to),
+        }
+      : change;
+  }),
+  snapshot: revision.snapshot && {
+    ...revision.snapshot,
+    personalInfo: mapEncryptedFields(revision.snapshot.personalInfo, transform),
+  },
+});
+
+const decryptRevision = ({ encryption_key_version, ...revision }) =>
+  encryption_key_version ? mapRevisionFields(revision, decryptField) : revision;
+
+const PDF_FONTS = {
+  NotoSans: "./public/fonts/NotoSans-Regular.ttf",
+  NotoSansThai: "./public/fonts/NotoSansThai-Regular.ttf",
+  // Subset to the CJK Unified Ideographs block, which holds both simplified
+  // and traditional characters, plus kana and CJK punctuation.
+  NotoSansSC: "./public/fonts/NotoSansSC-Regular.ttf",
+};
+
+const fontForChar = (char) => {
+  if (
+    /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303f\uff00-\uffef]/u.test(
+      char
+    )
+  ) {
+    return "NotoSansSC";
+  }
+  if (/\p{Script=Thai}/u.test(char)) return "NotoSansThai";
+  if (/\p{L}/u.test(char)) return "NotoSans";
+  return null; // spaces, digits, punctuation and marks fit any font
+};
+
+// Splits text into runs that can each be written in a single embedded font,
+// e.g. a name mixing Latin and Thai characters.
+const fontRuns = (text) => {
+  const runs = [];
+  for (const char of String(text ?? "")) {
+    const font = fontForChar(char);
+    const last = runs[runs.length - 1];
+
+    if (last && (font === null || font === last.font)) {
+      last.text += char;
+    } else if (last && last.font === null) {
+      last.font = font;
+      last.text += char;
+    } else {
+      runs.push({ font, text: char });
     }
+  }
+  return runs.map((run) => ({ ...run, font: run.font ?? "NotoSans" }));
+};
 
-    res.json({
-      success: true,
-      data: data,
+const pdfLabels = {
+  en: {
+    intro:
+      "Thank you for using the Thailand Digital Arrival Card. " +
+      "This Thailand Digital Arrival Card is only valid for one time use for travel on the expected date of " +
+      "arrival indicated below. You may choose to download or print a copy of this and retain it for the duration of " +
+      "your stay. Please note that the Thailand Digital Arrival Card is not a visa. The use of the Thailand Digital " +
+      "Arrival Card e-Service is free of charge.",
+    accuracy:
+      "Kindly ensure that the information provided is accurate and aligns with your travel documents " +
+      "to avoid any issues upon your arrival in Thailand.",
+    updateInfo:
+      "You can update your Thailand Digital Arrival Card information through the official " +
+      "website at https://tdac.immigration.go.th/arrival-card or by scanning the QR code " +
+      "provided below, before entering Thailand. For more information on Thailand's entry " +
+      "requirements, please visit the official website.",
+    scanToUpdate:
+      "To update your information or for further assistance, please scan the QR code",
+    transactionDate: "Transaction Date",
+    cardNo: "TH Digital Arrival Card No.",
+    passportNo: "Passport No.",
+    flightNo: "Flight No./Vehicle No.",
+    personalInformation: "Personal Information",
+    fullName: "Full Name",
+    gender: "Gender",
+    nationality: "Nationality/Citizenship",
+    dateOfBirth: "Date of Birth",
+    occupation: "Occupation",
+    countryOfResidence: "Country/Territory of Residence",
+    cityOfResidence: "City/State of Residence",
+    visaNo: "Visa No.",
+    phoneNo: "Phone No.",
+    tripInformation: "Trip Information",
+    arrivalInformation: "Arrival Information",
+    dateOfArrival: "Date of Arrival",
+    countryBoarded: "Country Boarded",
+    purposeOfTravel: "Purpose of Travel",
+    modeOfTravel: "Mode of Travel",
+    modeOfTransport: "Mode of Transport",
+    departureInformation: "Departure Information",
+    dateOfDeparture: "Date of Departure",
+    accommodationInformation: "Accommodation Information",
+    typeOfAccommodation: "Type of Accommodation",
+    postCode: "Post Code",
+    address: "Address",
+    healthRequirements: "Health Requirements",
+  },
+  th: {
+    intro:
+      "ขอบคุณที่ใช้บริการบัตรขาเข้าดิจิทัลประเทศไทย " +
+      "บัตรขาเข้าดิจิทัลประเทศไทยนี้ใช้ได้เพียงครั้งเดียวสำหรับการเดินทางในวันที่คาดว่าจะเดินทางมาถึงตามที่ระบุไว้ด้านล่าง " +
+      "ท่านสามารถดาวน์โหลดหรือพิมพ์สำเนาเก็บไว้ตลอดระยะเวลาที่พำนักในประเทศไทย " +
+      "โปรดทราบว่าบัตรขาเข้าดิจิทัลประเทศไทยไม่ใช่วีซ่า " +
+      "การใช้บริการบัตรขาเข้าดิจิทัลประเทศไทยไม่มีค่าใช้จ่าย",
+    accuracy:
+      "โปรดตรวจสอบให้แน่ใจว่าข้อมูลที่ให้ไว้ถูกต้องและตรงกับเอกสารการเดินทางของท่าน " +
+      "เพื่อหลีกเลี่ยงปัญหาเมื่อเดินทางมาถึงประเทศไทย",
+    updateInfo:
+      "ท่านสามารถแก้ไขข้อมูลบัตรขาเข้าดิจิทัลประเทศไทยได้ทางเว็บไซต์ทางการ " +
+      "https://tdac.immigration.go.th/arrival-card หรือสแกนคิวอาร์โค้ดด้านล่าง " +
+      "ก่อนเดินทางเข้าประเทศไทย " +
+      "สำหรับข้อมูลเพิ่มเติมเกี่ยวกับข้อกำหนดการเดินทางเข้าประเทศไทย โปรดเยี่ยมชมเว็บไซต์ทางการ",
+    scanToUpdate:
+      "หากต้องการแก้ไขข้อมูลหรือขอความช่วยเหลือเพิ่มเติม โปรดสแกนคิวอาร์โค้ด",
+    transactionDate: "วันที่ทำรายการ",
+    cardNo: "หมายเลขบัตรขาเข้าดิจิทัล",
+    passportNo: "หมายเลขหนังสือเดินทาง",
+    flightNo: "เที่ยวบิน/หมายเลขยานพาหนะ",
+    personalInformation: "ข้อมูลส่วนบุคคล",
+    fullName: "ชื่อ-นามสกุล",
+    gender: "เพศ",
+    nationality: "สัญชาติ",
+    dateOfBirth: "วันเกิด",
+    occupation: "อาชีพ",
+    countryOfResidence: "ประเทศ/ดินแดนที่พำนัก",
+    cityOfResidence: "เมือง/รัฐที่พำนัก",
+    visaNo: "หมายเลขวีซ่า",
+    phoneNo: "หมายเลขโทรศัพท์",
+    tripInformation: "ข้อมูลการเดินทาง",
+    arrivalInformation: "ข้อมูลขาเข้า",
+    dateOfArrival: "วันที่เดินทางมาถึง",
+    countryBoarded: "ประเทศที่ขึ้นพาหนะ",
+    purposeOfTravel: "วัตถุประสงค์การเดินทาง",
+    modeOfTravel: "รูปแบบการเดินทาง",
+    modeOfTransport: "ประเภทพาหนะ",
+    departureInformation: "ข้อมูลขาออก",
+    dateOfDeparture: "วันที่เดินทางออก",
+    accommodationInformation: "ข้อมูลที่พัก",
+    typeOfAccommodation: "ประเภทที่พัก",
+    postCode: "รหัสไปรษณีย์",
+    address: "ที่อยู่",
+    healthRequirements: "ข้อกำหนดด้านสุขภาพ",
+  },
+  zh: {
+    intro:
+      "感谢您使用泰国数字入境卡。本泰国数字入境卡仅限在下方所示的预计入境日期使用一次。" +
+      "您可以下载或打印本文件，并在停留期间妥善保管。请注意，泰国数字入境卡并非签证。" +
+      "泰国数字入境卡电子服务免费提供。",
+    accuracy:
+      "请确保所提供的信息准确无误，并与您的旅行证件一致，以免入境泰国时出现问题。",
+    updateInfo:
+      "在入境泰国之前，您可以通过官方网站 https://tdac.immigration.go.th/arrival-card " +
+      "或扫描下方二维码更新您的泰国数字入境卡信息。有关泰国入境要求的更多信息，请访问官方网站。",
+    scanToUpdate: "如需更新信息或获取进一步帮助，请扫描二维码",
+    transactionDate: "办理日期",
+    cardNo: "泰国数字入境卡号",
+    passportNo: "护照号码",
+    flightNo: "航班号/车辆号",
+    personalInformation: "个人信息",
+    fullName: "姓名",
+    gender: "性别",
+    nationality: "国籍",
+    dateOfBirth: "出生日期",
+    occupation: "职业",
+    countryOfResidence: "居住国家/地区",
+    cityOfResidence: "居住城市/州",
+    visaNo: "签证号码",
+    phoneNo: "电话号码",
+    tripInformation: "行程信息",
+    arrivalInformation: "入境信息",
+    dateOfArrival: "入境日期",
+    countryBoarded: "登机/登船国家",
+    purposeOfTravel: "旅行目的",
+    modeOfTravel: "出行方式",
+    modeOfTransport: "交通工具",
+    departureInformation: "离境信息",
+    dateOfDeparture: "离境日期",
+    accommodationInformation: "住宿信息",
+    typeOfAccommodation: "住宿类型",
+    postCode: "邮政编码",
+    address: "地址",
+    healthRequirements: "健康要求",
+  },
+};
+
+const PDF_LANGUAGES = Object.keys(pdfLabels);
+
+// Accepts "th", "zh-CN", "zh-Hans" etc. Returns undefined for anything we
+// have no template for.
+const resolveLanguage = (value) => {
+  const language = String(value || "en")
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return PDF_LANGUAGES.includes(language) ? language : undefined;
+};
+
+const drawWatermark = (doc, text) => {
+  doc.save();
+  doc.rotate(-45, { origin: [doc.page.width / 2, doc.page.height / 2] });
+  doc
+    .fillColor("red")
+    .opacity(0.3)
+    .fontSize(90)
+    .text(text, 0, doc.page.height / 2 - 45, {
+      width: doc.page.width,
+      align: "center",
+      lineBreak: false,
     });
-  } catch (error) {
-    console.error("Error searching data:", error);
-    res.status(500).json({
-      success: false,
-      message: "An error occurred while searching. Please try again.",
+  doc.restore();
+  // save/restore only covers the PDF graphics state, not pdfkit's own
+  // idea of the current colour and font size.
+  doc.fillColor("black").opacity(1).fontSize(10);
+};
+
+const drawCard = async (
+  doc,
+  personalData,
+  tripData,
+  arrivalCardNo,
+  fullUpdateUrl,
+  qrData,
+  options = {}
+) => {
+  const t = pdfLabels[options.language ?? "en"];
+  const range = doc.bufferedPageRange();
+  const firstPage = range.start + range.count - 1;
+
+  doc.image("./public/govLogo.jpg", (doc.page.width - 200) / 2, 15, {
+    fit: [200, 200],
+  });
+  doc.moveDown(10);
+
+  doc.fontSize(10).text(t.intro);
+  doc.moveDown(0.5);
+
+  doc.fontSize(10).text(t.accuracy);
+  doc.moveDown(0.5);
+
+  doc.fontSize(10).text(t.updateInfo);
+  doc.moveDown(1.5);
+
+  const qrUpdate = await QRCode.toBuffer(fullUpdateUrl, {
+    errorCorrectionLevel: "H",
+    width: 90,
+  });
+  const startY = doc.y;
+  doc.image(qrUpdate, doc.page.margins.left, startY, {
+    fit: [90, 90],
+    margin: 1,
+  });
+
+  doc
+    .fontSize(10)
+    .text(t.scanToUpdate, doc.page.margins.left + 120, startY + 50, {
+      width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+      align: "left",
     });
-  }
-});
+  doc.y = startY + 120;
 
-app.put("/api/update-form", async (req, res) => {
-  const { entry_form_id, profile_id, tr_id, personalInfo, tripInfo } = req.body;
+  doc.x = doc.page.margins.left;
+  const transactionDate = formatDate(
+    options.transactionDate ?? new Date().toISOString(),
+    true
+  );
+  doc.fontSize(10).text(`${t.transactionDate}: ${transactionDate}`);
+  doc.moveDown(1.5);
 
-  try {
-    const { error: profileError } = await supabase
-      .from("profiles")
-      .update({
-        occupation: personalInfo.occupation,
-        gender: personalInfo.gender,
-        visa_no: personalInfo.visa_no,
-        selected_country: personalInfo.selected_country,
-        selected_city: personalInfo.selected_city,
-        phone_no_code: String(personalInfo.phone_no_code),
-        phone_no: String(personalInfo.phone_no),
-      })
-      .eq("id", profile_id);
+  const rectY = doc.y;
+  const rectHeight = 20;
+  const rectWidth =
+    doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  doc.rect(doc.page.margins.left, rectY, rectWidth, rectHeight).stroke();
 
-    if (profileError) throw profileError;
+  const fullName = `${personalData.first_name} ${personalData.family_name}`
+    .trim()
+    .toUpperCase();
+  doc
+    .fontSize(10)
+    .text(fullName, doc.page.margins.left + 10, rectY + rectHeight / 3, {
+      width: rectWidth / 2,
+      align: "left",
+    });
 
-    const { error: travelError } = await supabase
-      .from("travel_information")
-      .update({
-        date_of_arrival: tripInfo.date_of_arrival,
-        date_of_departure: tripInfo.date_of_departure,
-        country_boarded: tripInfo.country_boarded,
-        purpose_of_travel: tripInfo.purpose_of_travel,
-        mode_of_travel_arrival: tripInfo.mode_of_travel_arrival,
-        mode_of_transport_arrival: tripInfo.mode_of_transport_arrival,
-        flight_vehicle_no_arrival: tripInfo.flight_vehicle_no_arrival,
-        mode_of_travel_departure: tripInfo.mode_of_travel_departure,
-        mode_of_transport_departure: tripInfo.mode_of_transport_departure,
-        flight_vehicle_no_departure: tripInfo.flight_vehicle_no_departure,
-        type_of_accommodation: tripInfo.type_of_accommodation,
-        province: tripInfo.province,
-        district_area: tripInfo.district_area,
-        sub_district: tripInfo.sub_district,
-        post_code: tripInfo.post_code,
-        address: tripInfo.address,
-        countries_visited: tripInfo.countries_visited,
-      })
-      .eq("id", tr_id);
+  doc
+    .fontSize(10)
+    .text(
+      t.dateOfArrival,
+      doc.page.margins.left + rectWidth / 2 + 26,
+      rectY + rectHeight / 3,
+      { width: 120, align: "left" }
+    );
+  doc
+    .fontSize(10)
+    .text(
+      formatDate(tripData.date_of_arrival),
+      doc.page.margins.left + rectWidth / 2 + 148,
+      rectY + rectHeight / 3,
+      { width: 100, align: "left" }
+    );
 
-    if (travelError) throw travelError;
+  const rect2Y = rectY + rectHeight;
+  const rect2Height = 140;
+  doc.rect(doc.page.margins.left, rect2Y, rectWidth, rect2Height).stroke();
 
-    const { data: updatedData, error: fetchError } = await supabase
-      .from("entry_form")
-      .select(
-        `
-        *,
-        profiles(*),
-        travel_information(*)
-      `
-      )
-      .eq("id", entry_form_id)
-      .single();
+  const qrBuffer = await QRCode.toBuffer(qrData, { width: 120 });
+  doc.image(qrBuffer, doc.page.margins.left + 5, rect2Y + 5, {
+    fit: [120, 120],
+  });
 
-    if (fetchError) throw fetchError;
+  const qrWidth = 130;
+  const remainingWidth = rectWidth - qrWidth;
+
+  doc
+    .fontSize(10)
+    .text(t.cardNo, doc.page.margins.left + qrWidth, rect2Y + 10, {
+      width: remainingWidth / 3 - 10,
+      align: "center",
+    });
+  doc
+    .fontSize(10)
+    .text(
+      t.passportNo,
+      doc.page.margins.left + qrWidth + remainingWidth / 3,
+      rect2Y + 10,
+      { width: remainingWidth / 3 - 10, align: "center" }
+    );
+  doc
+    .fontSize(10)
+    .text(
+      t.flightNo,
+      doc.page.margins.left + qrWidth + (remainingWidth * 2) / 3,
+      rect2Y + 10,
+      { width: remainingWidth / 3 - 10, align: "center" }
+    );
 
-    console.log("Fetched updated data from database:", updatedData);
+  doc
+    .fontSize(10)
+    .text(arrivalCardNo, doc.page.margins.left + qrWidth, rect2Y + 35, {
+      width: remainingWidth / 3 - 10,
+      align: "center",
+    });
+  doc
+    .fontSize(10)
+    .text(
+      personalData.passport_no.toUpperCase(),
+      doc.page.margins.left + qrWidth + remainingWidth / 3,
+      rect2Y + 35,
+      { width: remainingWidth / 3 - 10, align: "center" }
+    );
+  doc
+    .fontSize(10)
+    .text(
+      tripData.flight_vehicle_no_arrival.toUpperCase(),
+      doc.page.margins.left + qrWidth + (remainingWidth * 2) / 3,
+      rect2Y + 35,
+      { width: remainingWidth / 3 - 10, align: "center" }
+    );
 
-    if (updatedData.filepath) {
-      const oldFileName = updatedData.filepath.split("/").pop().split("?")[0];
-      console.log("Attempting to delete old PDF:", oldFileName);
+  doc.y = rect2Y + rect2Height + 10;
+  doc.addPage();
 
-      const { error: deleteError } = await supabase.storage
-        .from("pdfs")
-        .remove([oldFileName]);
+  //Next Page
+  doc.fontSize(10).text(`${t.cardNo}  ${arrivalCardNo}`);
+  doc.moveDown(1.5);
+  doc.fontSize(10).text(t.personalInformation);
+  let lineY = doc.y;
+  doc
+    .moveTo(doc.page.margins.left, lineY)
+    .lineTo(doc.page.width - doc.page.margins.right, lineY)
+    .stroke();
+  doc.moveDown(2);
 
-      if (deleteError) {
-        console.warn("Warning: Could not delete old PDF:", deleteError);
-      } else {
-        console.log("Old PDF deleted successfully");
-      }
-    }
-
-    const personalData = {
-      first_name: updatedData.profiles.first_name,
-      middle_name: updatedData.profiles.middle_name,
-      family_name: updatedData.profiles.family_name,
-      passport_no: updatedData.profiles.passport_no,
-      selected_nationality: updatedData.profiles.selected_nationality,
-      date_of_birth: updatedData.profiles.date_of_birth,
-      occupation: updatedData.profiles.occupation,
-      gender: updatedData.profiles.gender,
-      visa_no: updatedData.profiles.visa_no,
-      selected_country: updatedData.profiles.selected_country,
-      selected_city: updatedData.profiles.selected_city,
-      phone_no_code: updatedData.profiles.phone_no_code,
-      phone_no: updatedData.profiles.phone_no,
-    };
+  doc.fontSize(10);
+  const labelWidth = 200;
+  const valueX = doc.page.width / 2 + 10;
 
-    const tripData = {
-      date_of_arrival: updatedData.travel_information.date_of_arrival,
-      date_of_departure: updatedData.travel_information.date_of_departure,
-      country_boarded: updatedData.travel_information.country_boarded,
-      purpose_of_travel: updatedData.travel_information.purpose_of_travel,
-      mode_of_travel_arrival:
-        updatedData.travel_information.mode_of_travel_arrival,
-      mode_of_transport_arrival:
-        updatedData.travel_information.mode_of_transport_arrival,
-      flight_vehicle_no_arrival:
-        updatedData.travel_information.flight_vehicle_no_arrival,
-      mode_of_travel_departure:
-        updatedData.travel_information.mode_of_travel_departure,
-      mode_of_transport_departure:
-        updatedData.travel_information.mode_of_transport_departure,
-      flight_vehicle_no_departure:
-        updatedData.travel_information.flight_vehicle_no_departure,
-      type_of_accommodation:
-        updatedData.travel_information.type_of_accommodation,
-      province: updatedData.travel_information.province,
-      district_area: updatedData.travel_information.district_area,
-      sub_district: updatedData.travel_information.sub_district,
-      post_code: updatedData.travel_information.post_code,
-      address: updatedData.travel_information.address,
-    };
+  const drawField = (label, value) => {
+    // Label and value are placed side by side at the same y, so break the
+    // page up front rather than letting pdfkit break between the two.
+    doc.font(fontRuns(label)[0]?.font ?? "NotoSans");
+    if (doc.y + doc.currentLineHeight(true) * 2 > doc.page.maxY()) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.text(label, doc.page.width / 2 - labelWidth, y, {
+      width: labelWidth,
+      align: "right",
+      continued: false,
+    });
+    doc.text(value, valueX, y, {
+      width: doc.page.width - valueX - 50,
+      align: "left",
+      continued: false,
+    });
+    doc.moveDown(0.3);
+  };
+
+  drawField(
+    `${t.fullName} :`,
+    `${personalData.first_name} ${personalData.middle_name || ""} ${
+      personalData.family_name
+    }`
+      .trim()
+      .toUpperCase()
+  );
+  doc.moveDown(0.3);
+  drawField(`${t.gender} :`, personalData.gender.toUpperCase());
+  doc.moveDown(0.3);
+  drawField(
+    `${t.nationality} :`,
+    personalData.selected_nationality.toUpperCase()
+  );
+  doc.moveDown(0.3);
+  drawField(`${t.passportNo} :`, personalData.passport_no.toUpperCase());
+  doc.moveDown(0.3);
+  drawField(`${t.dateOfBirth} :`, formatDate(personalData.date_of_birth));
+  doc.moveDown(0.3);
+  drawField(`${t.occupation} :`, personalData.occupation.toUpperCase());
+  doc.moveDown(0.3);
+  drawField(
+    `${t.countryOfResidence} :`,
+    personalData.selected_country.toUpperCase()
+  );
+  doc.moveDown(0.3);
+  drawField(`${t.cityOfResidence} :`, personalData.selected_city.toUpperCase());
+  doc.moveDown(0.3);
+  drawField(`${t.visaNo} :`, (personalData.visa_no || "-").toUpperCase());
+  doc.moveDown(0.3);
+  drawField(
+    `${t.phoneNo} :`,
+    `+${personalData.phone_no_code} ${personalData.phone_no}`
+  );
+  doc.moveDown(1);
+
+  doc.x = doc.page.margins.left;
+  doc.fontSize(10).text(t.tripInformation);
+  lineY = doc.y;
+  doc
+    .moveTo(doc.page.margins.left, lineY)
+    .lineTo(doc.page.width - doc.page.margins.right, lineY)
+    .stroke();
+  doc.moveDown(2);
+
+  doc.x = doc.page.margins.left;
+  doc.fontSize(10).text(t.arrivalInformation);
+  doc.moveDown(0.3);
+  drawField(`${t.dateOfArrival} :`, formatDate(tripData.date_of_arrival));
+  doc.moveDown(0.3);
+  drawField(`${t.countryBoarded} :`, tripData.country_boarded.toUpperCase());
+  doc.moveDown(0.3);
+  drawField(`${t.purposeOfTravel} :`, tripData.purpose_of_travel.toUpperCase());
+  doc.moveDown(0.3);
+  drawField(
+    `${t.modeOfTravel} :`,
+    tripData.mode_of_travel_arrival.toUpperCase()
+  );
+  doc.moveDown(0.3);
+  drawField(
+    `${t.modeOfTransport} :`,
+    tripData.mode_of_transport_arrival.toUpperCase()
+  );
+  doc.moveDown(0.3);
+  drawField(
+    `${t.flightNo} :`,
+    tripData.flight_vehicle_no_arrival.toUpperCase()
+  );
+  doc.moveDown(0.8);
+
+  doc.x = doc.page.margins.left;
+  doc.fontSize(10).text(t.departureInformation);
+  doc.moveDown(0.3);
+  drawField(
+    `${t.dateOfDeparture} :`,
+    tripData.date_of_departure ? formatDate(tripData.date_of_departure) : "-"
+  );
+  doc.moveDown(0.3);
+  drawField(
+    `${t.modeOfTravel} :`,
+    (tripData.mode_of_travel_departure || "-").toUpperCase()
+  );
+  doc.moveDown(0.3);
+  drawField(
+    `${t.modeOfTransport} :`,
+    (tripData.mode_of_transport_departure || "-").toUpperCase()
+  );
+  doc.moveDown(0.3);
+  drawField(
+    `${t.flightNo} :`,
+    (tripData.flight_vehicle_no_departure || "-").toUpperCase()
+  );
+  doc.moveDown(0.8);
+
+  doc.x = doc.page.margins.left;
+  doc.fontSize(10).text(t.accommodationInformation);
+  lineY = doc.y;
+  doc
+    .moveTo(doc.page.margins.left, lineY)
+    .lineTo(doc.page.width - doc.page.margins.right, lineY)
+    .stroke();
+  doc.moveDown(2);
+  drawField(
+    `${t.typeOfAccommodation} :`,
+    tripData.type_of_accommodation.toUpperCase()
+  );
+  doc.moveDown(0.3);
+  drawField(`${t.postCode} :`, tripData.post_code);
+  doc.moveDown(0.3);
+  drawField(
+    `${t.address} :`,
+    `${tripData.province}, ${tripData.district_area}, ${tripData.sub_district}, `.toUpperCase() +
+      `${tripData.address}`
+  );
+
+  if (options.healthRequirements?.length > 0) {
+    doc.moveDown(1);
+    doc.x = doc.page.margins.left;
+    doc.fontSize(10).text(t.healthRequirements);
+    lineY = doc.y;
+    doc
+      .moveTo(doc.page.margins.left, lineY)
+      .lineTo(doc.page.width - doc.page.margins.right, lineY)
+      .stroke();
+    doc.moveDown(1);
+    for (const id of options.healthRequirements) {
+      doc.text(
+        `• ${healthRequirementText(id, options.language ?? "en")}`,
+        doc.page.margins.left + 20,
+        doc.y,
+        {
+          width:
+            doc.page.width -
+            doc.page.margins.left -
+            doc.page.margins.right -
+            20,
+        }
+      );
+      doc.moveDown(0.3);
+    }
+  }
+
+  if (options.cancelled) {
+    const lastPage = doc.bufferedPageRange().count - 1;
+    for (let page = firstPage; page <= lastPage; page++) {
+      doc.switchToPage(page);
+      drawWatermark(doc, "CANCELLED");
+    }
+  }
+};
 
-    const arrivalCardNo = updatedData.arrival_card_no;
-    const uniqueId = updatedData.qrcode_data;
+const renderPdf = (draw, options = {}) => {
+  return new Promise(async (resolve, reject) => {
+    const doc = new PDFDocument({ margin: 30, bufferPages: true, ...options });
+    const chunks = [];
+
+    for (const [name, path] of Object.entries(PDF_FONTS)) {
+      doc.registerFont(name, path);
+    }
+
+    // pdfkit has no font fallback, so every string is written as a chain of
+    // continued runs, each in the embedded font that covers its script.
+    const writeText = doc.text.bind(doc);
+    doc.text = (text, ...args) => {
+      const runs = fontRuns(text);
+      if (runs.length <= 1) {
+        doc.font(runs[0]?.font ?? "NotoSans");
+        return writeText(text, ...args);
+      }
+
+      const options =
+        typeof args[args.length - 1] === "object" ? args.pop() : {};
+      runs.forEach((run, index) => {
+        doc.font(run.font);
+        writeText(run.text, ...(index === 0 ? args : []), {
+          ...options,
+          continued: index < runs.length - 1 || Boolean(options.continued),
+        });
+      });
+      return doc;
+    };
 
-    const updateUrl = "http://localhost:5173/update/search";
-    const params = new URLSearchParams({
-      cardNo: arrivalCardNo,
-      dob: personalData.date_of_birth,
-      doa: tripData.date_of_arrival,
-      nat: personalData.selected_nationality,
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => {
+      logger.debug("PDF created in memory");
+      resolve({ chunks });
     });
-    const fullUpdateUrl = `${updateUrl}?${params.toString()}`;
+    doc.on("error", (err) => reject(err));
 
-    console.log("Generating new PDF with:");
-    console.log("Personal Data:", personalData);
-    console.log("Trip Data:", tripData);
-    console.log("Arrival Card No:", arrivalCardNo);
-    console.log("Update URL:", fullUpdateUrl);
+    try {
+      await draw(doc);
+      doc.end(); // This triggers the 'end' event
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
 
-    const { chunks } = await createPdf(
+const createPdf = async (
+  personalData,
+  tripData,
+  arrivalCardNo,
+  fullUpdateUrl,
+  qrData,
+  options = {}
+) => {
+  return renderPdf((doc) =>
+    drawCard(
+      doc,
       personalData,
       tripData,
       arrivalCardNo,
       fullUpdateUrl,
-      uniqueId
+      qrData,
+      options
+    )
+  );
+};
+
+// One document holding every member's card, each starting on a new page.
+const createGroupPdf = async (cards) => {
+  return renderPdf(async (doc) => {
+    for (const [index, card] of cards.entries()) {
+      if (index > 0) doc.addPage();
+      await drawCard(
+        doc,
+        card.personalData,
+        card.tripData,
+        card.arrivalCardNo,
+        card.fullUpdateUrl,
+        card.qrData,
+        card.options
+      );
+    }
+  });
+};
+
+const SUBMISSION_WINDOW_DAYS = Number(process.env.SUBMISSION_WINDOW_DAYS ?? 3);
+
+const FLIGHT_NUMBER_PATTERNS = {
+  AIR: /^[A-Z0-9]{2}[A-Z]?\s?\d{1,4}[A-Z]?$/i,
+  LAND: /^[A-Z0-9][A-Z0-9 -]{0,14}$/i,
+  SEA: /^[A-Z0-9][A-Z0-9 .-]{0,29}$/i,
+};
+
+const isOther = (value) => /^OTHERS?\b/i.test(value ?? "");
+
+// Rules that span several fields, or depend on today's date, and so cannot
+// be expressed on the individual schemas. Errors come back in the same
+// { personalInfo, tripInfo } fieldErrors shape the schemas produce.
+const validateTripRules = (personalData, tripData) => {
+  const errors = { personalInfo: {}, tripInfo: {} };
+  const addError = (section, field, message) =>
+    (errors[section][field] ??= []).push(message);
+  const today = todayInThailand();
+
+  if (!isValidDate(personalData.date_of_birth)) {
+    addError("personalInfo", "date_of_birth", "Invalid date of birth");
+  } else if (toDateOnly(personalData.date_of_birth) > today) {
+    addError(
+      "personalInfo",
+      "date_of_birth",
+      "Date of birth cannot be in the future"
     );
+  }
 
-    const pdfBuffer = Buffer.concat(chunks);
-    console.log("PDF buffer size:", pdfBuffer.length);
+  if (!isValidDate(tripData.date_of_arrival)) {
+    addError("tripInfo", "date_of_arrival", "Invalid date of arrival");
+  } else {
+    const arrival = toDateOnly(tripData.date_of_arrival);
 
-    const fileName = `${uniqueId}.pdf`;
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from("pdfs")
-      .upload(fileName, pdfBuffer, {
-        contentType: "application/pdf",
-        upsert: true,
-      });
+    if (arrival < today) {
+      addError(
+        "tripInfo",
+        "date_of_arrival",
+        "Date of arrival cannot be in the past"
+      );
+    } else if (arrival > addDays(today, SUBMISSION_WINDOW_DAYS)) {
+      addError(
+        "tripInfo",
+        "date_of_arrival",
+        `Arrival cards can only be submitted up to ${SUBMISSION_WINDOW_DAYS} days before arrival`
+      );
+    }
+
+    if (tripData.date_of_departure) {
+      if (!isValidDate(tripData.date_of_departure)) {
+        addError("tripInfo", "date_of_departure", "Invalid date of departure");
+      } else if (toDateOnly(tripData.date_of_departure) < arrival) {
+        addError(
+          "tripInfo",
+          "date_of_departure",
+          "Date of departure cannot be before the date of arrival"
+        );
+      }
+    }
+  }
 
-    if (uploadError) {
-      console.error("Upload error:", uploadError);
-      throw new Error(`Failed to upload PDF: ${uploadError.message}`);
+  const otherFields = [
+    ["purpose_of_travel", "purpose_of_travel_other"],
+    ["mode_of_transport_arrival", "mode_of_transport_arrival_other"],
+    ["mode_of_transport_departure", "mode_of_transport_departure_other"],
+    ["type_of_accommodation", "type_other"],
+  ];
+  for (const [field, otherField] of otherFields) {
+    if (isOther(tripData[field]) && !tripData[otherField]?.trim()) {
+      addError("tripInfo", otherField, "Please specify");
     }
+  }
 
-    console.log("New PDF uploaded successfully:", fileName);
+  const flightFields = [
+    ["mode_of_travel_arrival", "flight_vehicle_no_arrival"],
+    ["mode_of_travel_departure", "flight_vehicle_no_departure"],
+  ];
+  for (const [modeField, numberField] of flightFields) {
+    const pattern = FLIGHT_NUMBER_PATTERNS[tripData[modeField]?.toUpperCase()];
+    const number = tripData[numberField];
+    if (pattern && number && !pattern.test(number.trim())) {
+      addError(
+        "tripInfo",
+        numberField,
+        `Invalid flight/vehicle number for ${tripData[modeField]} travel`
+      );
+    }
+  }
 
-    const timestamp = Date.now();
-    const { data: publicUrlData } = supabase.storage
-      .from("pdfs")
-      .getPublicUrl(fileName);
+  return errors;
+};
 
-    const newPublicUrl = `${publicUrlData.publicUrl}?t=${timestamp}`;
-    console.log("New public URL with cache buster:", newPublicUrl);
+const hasRuleErrors = (errors) =>
+  Object.values(errors).some((section) => Object.keys(section).length > 0);
 
-    const { error: updateFilepathError } = await supabase
-      .from("entry_form")
-      .update({ filepath: newPublicUrl })
-      .eq("id", entry_form_id);
+const normalizeName = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
 
-    if (updateFilepathError) {
-      console.error("Error updating filepath:", updateFilepathError);
-      throw updateFilepathError;
+const referenceCountries = countries
+  .map((country) => ({
+    code: country.cca2,
+    alpha3: country.cca3,
+    name: country.name.common,
+    officialName: country.name.official,
+    nationality: country.demonyms?.eng?.m || country.name.common,
+  }))
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+const buildIndex = (keysFor) => {
+  const index = new Map();
+  for (const country of referenceCountries) {
+    for (const key of keysFor(country)) {
+      if (key) index.set(normalizeName(key), country);
     }
+  }
+  return index;
+};
 
-    console.log("Database updated with new filepath");
+const countryKeys = (country) => [
+  country.code,
+  country.alpha3,
+  country.name,
+  country.officialName,
+];
 
-    res.json({
-      success: true,
-      message: "Form updated successfully",
-      pdfUrl: newPublicUrl,
-    });
+const countryIndex = buildIndex(countryKeys);
+// Nationality may be sent either as the demonym ("Thai") or as the country.
+const nationalityIndex = buildIndex((country) => [
+  ...countryKeys(country),
+  country.nationality,
+]);
+
+const findByName = (entries, value) =>
+  entries.find((entry) =>
+    [entry.nameEn, entry.nameTh, entry.code].some(
+      (name) => normalizeName(name) === normalizeName(value)
+    )
+  );
+
+const validateThaiAddress = async (tripData) => {
+  const province = findByName(await getProvinces(), tripData.province);
+  if (!province) return { province: ["Unknown province"] };
+
+  const district = findByName(
+    await getDistricts(province.code),
+    tripData.district_area
+  );
+  if (!district) {
+    return { district_area: [`District is not in ${province.nameEn}`] };
+  }
+
+  const subDistricts = (await getSubDistricts(district.code)).filter(
+    (subDistrict) => findByName([subDistrict], tripData.sub_district)
+  );
+  if (subDistricts.length === 0) {
+    return { sub_district: [`Sub-district is not in ${district.nameEn}`] };
+  }
+
+  const postCode = String(tripData.post_code).trim();
+  if (
+    !subDistricts.some((subDistrict) => subDistrict.postalCode === postCode)
+  ) {
+    return {
+      post_code: [
+        `Post code does not match ${subDistricts[0].nameEn}, ${district.nameEn}`,
+      ],
+    };
+  }
+
+  return {};
+};
+
+const validateReferenceData = async (personalData, tripData, health) => {
+  const errors = { personalInfo: {}, tripInfo: {}, health: {} };
+  const checks = [
+    ["personalInfo", "selected_nationality", nationalityIndex, personalData],
+    ["personalInfo", "selected_country", countryIndex, personalData],
+    ["tripInfo", "country_boarded", countryIndex, tripData],
+  ];
+
+  for (const [section, field, index, data] of checks) {
+    if (!index.has(normalizeName(data[field]))) {
+      errors[section][field] = [
+        index === nationalityIndex ? "Unknown nationality" : "Unknown country",
+      ];
+    }
+  }
+
+  const unknownVisited = (health?.countries_visited ?? []).filter(
+    (country) => !countryIndex.has(normalizeName(country))
+  );
+  if (unknownVisited.length > 0) {
+    errors.health.countries_visited = [
+      `Unknown countries: ${unknownVisited.join(", ")}`,
+    ];
+  }
+
+  Object.assign(errors.tripInfo, await validateThaiAddress(tripData));
+  return errors;
+};
+
+// WHO list of countries with risk of yellow fever transmission.
+const YELLOW_FEVER_COUNTRIES = (
+  "AGO ARG BEN BFA BDI BOL BRA CMR CAF TCD COL COG CIV COD ECU GNQ ETH GUF " +
+  "GAB GMB GHA GIN GNB GUY KEN LBR MLI MRT NER NGA PAN PRY PER RWA SEN SLE " +
+  "SSD SDN SUR TGO TTO UGA VEN"
+).split(" ");
+
+// Used unless HEALTH_RULES_FILE points at a JSON array of rules instead.
+const DEFAULT_HEALTH_RULES = [
+  {
+    id: "yellow_fever_certificate",
+    countries: YELLOW_FEVER_COUNTRIES,
+    withinDays: 6,
+    lastVisitField: "yellow_fever_last_visit",
+    fields: { yellow_fever_certificate: "boolean" },
+    screening: true,
+    requirement: {
+      en: "Yellow fever vaccination certificate required. Please present it to the health control officer on arrival.",
+      th: "ต้องมีใบรับรองการฉีดวัคซีนป้องกันไข้เหลือง โปรดแสดงต่อเจ้าหน้าที่ควบคุมโรคเมื่อเดินทางมาถึง",
+      zh: "需持有黄热病疫苗接种证书。抵达时请向卫生检疫人员出示。",
+    },
+  },
+];
+
+const HEALTH_FIELD_TYPES = {
+  date: z.iso.date(),
+  string: z.string().trim().min(1),
+  boolean: z.boolean(),
+};
+
+const healthFieldName = z.string().regex(/^[a-z][a-z0-9_]*$/);
+
+const healthRuleSchema = z
+  .object({
+    id: z.string().regex(/^[a-z][a-z0-9_]*$/),
+    countries: z.array(z.string()).min(1),
+    // The rule only applies when a listed country was left this many days
+    // or fewer before arrival, which the traveller declares in
+    // lastVisitField.
+    withinDays: z.number().int().positive().optional(),
+    lastVisitField: healthFieldName.optional(),
+    fields: z
+      .record(healthFieldName, z.enum(Object.keys(HEALTH_FIELD_TYPES)))
+      .default({}),
+    screening: z.boolean().default(false),
+    requirement: z.object({ en: z.string().min(1) }).catchall(z.string()),
+  })
+  .refine((rule) => !rule.withinDays || rule.lastVisitField, {
+    message: "withinDays needs a lastVisitField",
+  });
+
+const loadHealthRules = async () => {
+  const rules = z
+    .array(healthRuleSchema)
+    .parse(
+      process.env.HEALTH_RULES_FILE
+        ? JSON.parse(await fs.readFile(process.env.HEALTH_RULES_FILE, "utf8"))
+        : DEFAULT_HEALTH_RULES
+    );
+
+  return rules.map((rule) => {
+    const unknown = rule.countries.filter(
+      (country) => !countryIndex.has(normalizeName(country))
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Health rule ${rule.id} lists unknown countries: ${unknown.join(", ")}`
+      );
+    }
+    return {
+      ...rule,
+      alpha3: new Set(
+        rule.countries.map(
+          (country) => countryIndex.get(normalizeName(country)).alpha3
+        )
+      ),
+    };
+  });
+};
+
+const healthRules = await loadHealthRules();
+
+// Every declaration field any rule can ask for, with its type.
+const healthDeclarationFields = {};
+for (const rule of healthRules) {
+  const fields = {
+    ...(rule.lastVisitField && { [rule.lastVisitField]: "date" }),
+    ...rule.fields,
+  };
+  for (const [field, type] of Object.entries(fields)) {
+    if (
+      healthDeclarationFields[field] &&
+      healthDeclarationFields[field] !== type
+    ) {
+      throw new Error(`Health field ${field} is declared with two types`);
+    }
+    healthDeclarationFields[field] = type;
+  }
+}
+
+const healthSchema = z.object({
+  countries_visited: z
+    .array(z.string())
+    .min(1, "Please select at least one country"),
+  ...Object.fromEntries(
+    Object.entries(healthDeclarationFields).map(([field, type]) => [
+      field,
+      HEALTH_FIELD_TYPES[type].optional(),
+    ])
+  ),
+});
+
+const healthDeclarations = (health) =>
+  Object.fromEntries(
+    Object.keys(healthDeclarationFields)
+      .filter((field) => health?.[field] !== undefined)
+      .map((field) => [field, health[field]])
+  );
+
+// Works out which rules apply to the declared countries and dates. Returns
+// the ids of the requirements to print on the card, whether the card needs
+// health screening, and fieldErrors for declarations a rule needs but did
+// not get.
+const evaluateHealthRules = (health, tripData) => {
+  const result = { errors: {}, requirements: [], screening: false };
+  // An invalid arrival date is already reported by validateTripRules.
+  if (!isValidDate(tripData.date_of_arrival)) return result;
+
+  const arrival = toDateOnly(tripData.date_of_arrival);
+  const visited = (health?.countries_visited ?? [])
+    .map((country) => countryIndex.get(normalizeName(country)))
+    .filter(Boolean);
+
+  for (const rule of healthRules) {
+    const matched = visited.filter((country) =>
+      rule.alpha3.has(country.alpha3)
+    );
+    if (matched.length === 0) continue;
+
+    if (rule.withinDays) {
+      const lastVisit = health[rule.lastVisitField];
+      if (!lastVisit) {
+        result.errors[rule.lastVisitField] = [
+          `Please give the date you last left ${matched
+            .map((country) => country.name)
+            .join(", ")}`,
+        ];
+        continue;
+      }
+      if (lastVisit > arrival) {
+        result.errors[rule.lastVisitField] = [
+          "Cannot be after the date of arrival",
+        ];
+        continue;
+      }
+      if (lastVisit < addDays(arrival, -rule.withinDays)) continue;
+    }
+
+    for (const field of Object.keys(rule.fields)) {
+      if (health[field] === undefined) result.errors[field] = ["Required"];
+    }
+    result.requirements.push(rule.id);
+    result.screening ||= rule.screening;
+  }
+
+  return result;
+};
+
+// Rules removed from the configuration since the card was issued are
+// printed by id rather than dropped.
+const healthRequirementText = (id, language) => {
+  const rule = healthRules.find((rule) => rule.id === id);
+  return rule?.requirement[language] ?? rule?.requirement.en ?? id;
+};
+
+const validateSubmission = async (personalData, tripData, health) => {
+  const ruleErrors = validateTripRules(personalData, tripData);
+  const referenceErrors = await validateReferenceData(
+    personalData,
+    tripData,
+    health
+  );
+
+  return {
+    personalInfo: {
+      ...referenceErrors.personalInfo,
+      ...ruleErrors.personalInfo,
+    },
+    tripInfo: { ...referenceErrors.tripInfo, ...ruleErrors.tripInfo },
+    health: {
+      ...evaluateHealthRules(health, tripData).errors,
+      ...referenceErrors.health,
+    },
+  };
+};
+
+app.get("/api/reference/countries", (req, res) => {
+  res.json({
+    success: true,
+    data: referenceCountries.map(({ code, alpha3, name }) => ({
+      code,
+      alpha3,
+      name,
+    })),
+  });
+});
+
+app.get("/api/reference/nationalities", (req, res) => {
+  res.json({
+    success: true,
+    data: referenceCountries
+      .map(({ code, nationality }) => ({ code, nationality }))
+      .sort((a, b) => a.nationality.localeCompare(b.nationality)),
+  });
+});
+
+app.get("/api/reference/provinces", async (req, res) => {
+  try {
+    res.json({ success: true, data: await getProvinces() });
   } catch (error) {
-    console.error("Update error:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+    logger.error("Reference data error", { error });
+    sendServerError(res);
   }
 });
 
-app.listen(PORT, () =>
-  console.log(`Server running on http://localhost:${PORT}`)
+app.get("/api/reference/provinces/:province/districts", async (req, res) => {
+  try {
+    const province = findByName(await getProvinces(), req.params.province);
+    if (!province) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Province not found" });
+    }
+
+    res.json({ success: true, data: await getDistricts(province.code) });
+  } catch (error) {
+    logger.error("Reference data error", { error });
+    sendServerError(res);
+  }
+});
+
+app.get(
+  "/api/reference/provinces/:province/districts/:district/sub-districts",
+  async (req, res) => {
+    try {
+      const province = findByName(await getProvinces(), req.params.province);
+      const district =
+        province &&
+        findByName(await getDistricts(province.code), req.params.district);
+      if (!district) {
+        return res
+          .status(404)
+          .json({ success: false, message: "District not found" });
+      }
+
+      res.json({ success: true, data: await getSubDistricts(district.code) });
+    } catch (error) {
+      logger.error("Reference data error", { error });
+      sendServerError(res);
+    }
+  }
+);
+
+const fieldErrors = (validation) =>
+  validation.success ? {} : z.flattenError(validation.error).fieldErrors;
+
+const UPDATE_SEARCH_URL = "http://localhost:5173/update/search";
+
+const buildUpdateUrl = (arrivalCardNo, personalData, tripData) => {
+  const params = new URLSearchParams({
+    cardNo: arrivalCardNo,
+    dob: personalData.date_of_birth,
+    doa: tripData.date_of_arrival,
+    nat: personalData.selected_nationality,
+  });
+
+  return `${UPDATE_SEARCH_URL}?${params.toString()}`;
+};
+
+// Card numbers are "TD", the issue date in Thailand as YYMMDD, a database
+// sequence number so they never collide, and a Luhn check digit over the
+// digits so most typos are rejected without a lookup, e.g. TD2610180000428.
+// Cards issued before this scheme have plain 5-digit numbers.
+const ARRIVAL_CARD_PREFIX = "TD";
+const LEGACY_ARRIVAL_CARD_NO = /^\d{5}$/;
+const ARRIVAL_CARD_NO = /^TD\d{13,}$/;
+
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  for (const [index, char] of [...digits].reverse().entries()) {
+    let value = Number(char);
+    if (index % 2 === 0) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+const normalizeArrivalCardNo = (value) =>
+  String(value ?? "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+
+const isValidArrivalCardNo = (value) => {
+  if (LEGACY_ARRIVAL_CARD_NO.test(value)) return true;
+  if (!ARRIVAL_CARD_NO.test(value)) return false;
+  const digits = value.slice(ARRIVAL_CARD_PREFIX.length);
+  return luhnCheckDigit(digits.slice(0, -1)) === digits.slice(-1);
+};
+
+const generateArrivalCardNo = async () => {
+  const { data: sequence, error } = await supabase.rpc("next_arrival_card_seq");
+
+  if (error) {
+    logger.error("Error generating arrival card number", { error });
+    throw new Error(`Failed to generate arrival card number: ${error.message}`);
+  }
+
+  const datePart = todayInThailand().slice(2).replaceAll("-", "");
+  const digits = `${datePart}${String(sequence).padStart(6, "0")}`;
+  const arrivalCardNo = `${ARRIVAL_CARD_PREFIX}${digits}${luhnCheckDigit(
+    digits
+  )}`;
+
+  logger.info("Generated arrival card number", { arrivalCardNo });
+  return arrivalCardNo;
+};
+
+const PDF_BUCKET = "pdfs";
+
+const createSupabaseStorage = () => ({
+  put: async (fileName, buffer, { upsert }) => {
+    const { error } = await supabase.storage
+      .from(PDF_BUCKET)
+      .upload(fileName, buffer, { contentType: "application/pdf", upsert });
+    if (error) throw error;
+  },
+  get: async (fileName) => {
+    const { data, error } = await supabase.storage
+      .from(PDF_BUCKET)
+      .download(fileName);
+    if (error) return null;
+    return Buffer.from(await data.arrayBuffer());
+  },
+  remove: async (fileName) => {
+    const { error } = await supabase.storage
+      .from(PDF_BUCKET)
+      .remove([fileName]);
+    if (error) throw error;
+  },
+  publicUrl: (fileName) =>
+    supabase.storage.from(PDF_BUCKET).getPublicUrl(fileName).data.publicUrl,
+});
+
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.PDF_STORAGE_DIR || "./storage/pdfs");
+  const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
+
+  return {
+    put: async (fileName, buffer, { upsert }) => {
+      await fs.mkdir(root, { recursive: true });
+      await fs.writeFile(path.join(root, fileName), buffer, {
+        flag: upsert ? "w" : "wx",
+      });
+    },
+    get: async (fileName) => {
+      try {
+        return await fs.readFile(path.join(root, fileName));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    remove: (fileName) => fs.rm(path.join(root, fileName), { force: true }),
+    publicUrl: (fileName) => `${baseUrl}/files/${PDF_BUCKET}/${fileName}`,
+  };
+};
+
+// Works with AWS S3 and S3-compatible stores such as MinIO or R2 via
+// S3_ENDPOINT. Credentials come from the usual AWS environment variables.
+const createS3Storage = () => {
+  const bucket = process.env.S3_BUCKET;
+  const endpoint = process.env.S3_ENDPOINT;
+  const region = process.env.S3_REGION || "us-east-1";
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+  });
+  const baseUrl =
+    process.env.S3_PUBLIC_URL ||
+    (endpoint
+      ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    put: (fileName, buffer, { upsert }) =>
+      client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: fileName,
+          Body: buffer,
+          ContentType: "application/pdf",
+          ...(!upsert && { IfNoneMatch: "*" }),
+        })
+      ),
+    get: async (fileName) => {
+      try {
+        const { Body } = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: fileName })
+        );
+        return Buffer.from(await Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === "NoSuchKey") return null;
+        throw error;
+      }
+    },
+    remove: (fileName) =>
+      client.send(new DeleteObjectCommand({ Bucket: bucket, Key: fileName })),
+    publicUrl: (fileName) => `${baseUrl}/${fileName}`,
+  };
+};
+
+const storageAdapters = {
+  supabase: createSupabaseStorage,
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+const PDF_STORAGE = process.env.PDF_STORAGE || "supabase";
+if (!storageAdapters[PDF_STORAGE]) {
+  throw new Error(
+    `Unknown PDF_STORAGE "${PDF_STORAGE}". Use one of: ${Object.keys(
+      storageAdapters
+    ).join(", ")}`
+  );
+}
+const pdfStorage = storageAdapters[PDF_STORAGE]();
+
+if (PDF_STORAGE === "local") {
+  app.get(`/files/${PDF_BUCKET}/:fileName`, async (req, res) => {
+    try {
+      const { fileName } = req.params;
+      const pdf =
+        path.basename(fileName) === fileName && fileName.endsWith(".pdf")
+          ? await pdfStorage.get(fileName)
+          : null;
+
+      if (!pdf) {
+        return res.status(404).json({ success: false, message: "Not found" });
+      }
+      res.type("application/pdf").send(pdf);
+    } catch (error) {
+      logger.error("File read error", { error });
+      sendServerError(res);
+    }
+  });
+}
+
+// Stored URLs may carry a ?t= cache buster; the object name is the last
+// path segment either way.
+const storedFileName = (filepath) => filepath.split("/").pop().split("?")[0];
+
+const uploadPdf = async (fileName, pdfBuffer, upsert = false) => {
+  try {
+    await pdfStorage.put(fileName, pdfBuffer, { upsert });
+  } catch (uploadError) {
+    logger.error("Upload error", { error: uploadError });
+    throw new Error(`Failed to upload PDF: ${uploadError.message}`);
+  }
+
+  logger.info("PDF uploaded", { fileName });
+  return pdfStorage.publicUrl(fileName);
+};
+
+const deleteRow = (table, id) => async () => {
+  const { error } = await supabase.from(table).delete().eq("id", id);
+  if (error) throw error;
+};
+
+const removePdf = (fileName) => () => pdfStorage.remove(fileName);
+
+// Undoes the steps of a failed creation, newest first. Every step is tried
+// even if an earlier one fails so as little as possible is left behind; the
+// orphan sweeper picks up whatever remains.
+const rollback = async (undo) => {
+  for (const step of [...undo].reverse()) {
+    try {
+      await step();
+    } catch (error) {
+      logger.error("Rollback step failed", { error });
+    }
+  }
+};
+
+const issueArrivalCard = async (
+  personalData,
+  tripData,
+  profileId,
+  trId,
+  {
+    groupId = null,
+    language = "en",
+    undo = [],
+    health = { requirements: [], screening: false },
+  } = {}
+) => {
+  const uniqueId = uuidv4();
+  const arrivalCardNo = await generateArrivalCardNo();
+  const fullUpdateUrl = buildUpdateUrl(arrivalCardNo, personalData, tripData);
+  const qrData = signCardQr(arrivalCardNo, personalData, tripData);
+
+  const { chunks } = await createPdf(
+    personalData,
+    tripData,
+    arrivalCardNo,
+    fullUpdateUrl,
+    qrData,
+    { language, healthRequirements: health.requirements }
+  );
+
+  const publicUrl = await uploadPdf(`${uniqueId}.pdf`, Buffer.concat(chunks));
+  undo.push(removePdf(`${uniqueId}.pdf`));
+  logger.debug("Public URL", { publicUrl });
+
+  const finalData = {
+    profile_id: profileId,
+    tr_id: trId,
+    filepath: publicUrl,
+    qrcode_data: uniqueId,
+    arrival_card_no: arrivalCardNo,
+    language,
+    health_screening: health.screening,
+    ...(groupId && { group_id: groupId }),
+  };
+
+  const { data: formData, error: formError } = await supabase
+    .from("entry_form")
+    .insert([finalData])
+    .select();
+
+  if (formError) {
+    logger.error("Database insert error", { error: formError });
+    throw new Error(`Failed to insert into database: ${formError.message}`);
+  }
+  undo.push(deleteRow("entry_form", formData[0].id));
+
+  return {
+    entry: formData,
+    uniqueId,
+    qrData,
+    arrivalCardNo,
+    pdfUrl: publicUrl,
+    fullUpdateUrl,
+    language,
+  };
+};
+
+const unsupportedLanguageMessage =
+  "Unsupported language. Use one of: " + PDF_LANGUAGES.join(", ");
+
+const unsupportedLanguage = (res) =>
+  res.status(400).json({ success: false, message: unsupportedLanguageMessage });
+
+const mrzCharValue = (char) => {
+  if (char === "<") return 0;
+  if (/\d/.test(char)) return Number(char);
+  return char.charCodeAt(0) - 55; // A = 10 ... Z = 35
+};
+
+// ICAO 9303 check digit: weights 7, 3, 1 repeating, modulo 10.
+const mrzCheckDigit = (text) =>
+  String(
+    [...text].reduce(
+      (sum, char, index) => sum + mrzCharValue(char) * [7, 3, 1][index % 3],
+      0
+    ) % 10
+  );
+
+const mrzDate = (yymmdd, { past }) => {
+  const yy = Number(yymmdd.slice(0, 2));
+  const currentYy = Number(todayInThailand().slice(2, 4));
+  const century = past && yy > currentYy ? 1900 : 2000;
+  return `${century + yy}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`;
+};
+
+// Codes used in passports that are not ISO 3166 alpha-3.
+const MRZ_NATIONALITY_CODES = {
+  D: "DEU",
+  GBD: "GBR",
+  GBN: "GBR",
+  GBO: "GBR",
+  GBP: "GBR",
+  GBS: "GBR",
+  RKS: "UNK",
+};
+
+const MRZ_GENDERS = { M: "MALE", F: "FEMALE" };
+
+// Parses the two 44-character lines of a TD3 (passport) MRZ. Returns
+// { errors } keyed by personalInfoSchema field when the lines are malformed
+// or a check digit fails, otherwise the fields mapped onto the schema.
+const parseMrzTd3 = (lines) => {
+  const [line1, line2] = (
+    Array.isArray(lines) ? lines : String(lines).split(/\r?\n/)
+  )
+    .map((line) =>
+      String(line ?? "")
+        .trim()
+        .toUpperCase()
+        .replace(/\s/g, "")
+    )
+    .filter(Boolean);
+
+  if (
+    !line1 ||
+    !line2 ||
+    !/^[A-Z0-9<]{44}$/.test(line1) ||
+    !/^[A-Z0-9<]{44}$/.test(line2) ||
+    line1[0] !== "P"
+  ) {
+    return {
+      errors: {
+        mrz: ["Expected the two 44-character lines of a passport MRZ"],
+      },
+    };
+  }
+
+  const field = (start, end) => line2.slice(start, end);
+  const checks = [
+    ["passport_no", field(0, 9), field(9, 10)],
+    ["date_of_birth", field(13, 19), field(19, 20)],
+    ["expiry_date", field(21, 27), field(27, 28)],
+    ["personal_number", field(28, 42), field(42, 43)],
+    ["mrz", field(0, 10) + field(13, 20) + field(21, 43), field(43, 44)],
+  ];
+
+  const errors = {};
+  for (const [name, value, check] of checks) {
+    // An unused personal number may have a filler instead of a digit.
+    if (name === "personal_number" && check === "<" && /^<*$/.test(value)) {
+      continue;
+    }
+    if (mrzCheckDigit(value) !== check) {
+      errors[name] = ["MRZ check digit does not match"];
+    }
+  }
+  if (Object.keys(errors).length > 0) return { errors };
+
+  const [surname, givenNames = ""] = line1.slice(5).split("<<");
+  const [firstName, ...middleNames] = givenNames
+    .replace(/<+$/, "")
+    .split("<")
+    .filter(Boolean);
+  const nationalityCode = field(10, 13).replace(/<+$/, "");
+  const nationality = nationalityIndex.get(
+    normalizeName(MRZ_NATIONALITY_CODES[nationalityCode] ?? nationalityCode)
+  );
+  const expiryDate = mrzDate(field(21, 27), { past: false });
+
+  return {
+    personalInfo: {
+      family_name: surname.replace(/<+/g, " ").trim(),
+      first_name: firstName,
+      ...(middleNames.length > 0 && { middle_name: middleNames.join(" ") }),
+      passport_no: field(0, 9).replace(/<+$/, ""),
+      selected_nationality: nationality?.nationality,
+      gender: MRZ_GENDERS[field(20, 21)],
+      date_of_birth: mrzDate(field(13, 19), { past: true }),
+    },
+    document: {
+      type: line1.slice(0, 2).replace(/<+$/, ""),
+      issuingState: line1.slice(2, 5).replace(/<+$/, ""),
+      nationalityCode,
+      expiryDate,
+      expired: expiryDate < todayInThailand(),
+    },
+  };
+};
+
+const MRZ_MISMATCH = "Does not match the passport's machine readable zone";
+
+// Only the fields a typo is likely to break and the MRZ states without
+// ambiguity are compared; the rest is left to the traveller.
+const crossCheckMrz = (personalData, mrz) => {
+  const errors = {};
+  if (
+    normalizePassportNo(personalData.passport_no) !==
+    normalizePassportNo(mrz.passport_no)
+  ) {
+    errors.passport_no = [MRZ_MISMATCH];
+  }
+  if (toDateOnly(personalData.date_of_birth) !== mrz.date_of_birth) {
+    errors.date_of_birth = [MRZ_MISMATCH];
+  }
+  if (!samePersonName(personalData.family_name, mrz.family_name)) {
+    errors.family_name = [MRZ_MISMATCH];
+  }
+  return errors;
+};
+
+app.post("/api/mrz", (req, res) => {
+  const lines = req.body.mrz ?? [req.body.line1, req.body.line2];
+  const { errors, personalInfo, document } = parseMrzTd3(lines);
+
+  if (errors) return res.status(400).json({ success: false, errors });
+  res.json({ success: true, personalInfo, document });
+});
+
+const emailSignature = {
+  en: "Thailand Digital Arrival Card",
+  th: "บัตรขาเข้าประเทศไทยแบบดิจิทัล",
+  zh: "泰国数字入境卡",
+};
+
+const emailMessages = {
+  en: {
+    issued: ({ name, cardNo, arrival }) => ({
+      subject: `Your Thailand Digital Arrival Card ${cardNo}`,
+      text:
+        `Dear ${name},\n\nYour Thailand Digital Arrival Card ${cardNo} for arrival on ${arrival} is attached. ` +
+        "Please keep it with your travel documents and present the QR code on arrival.",
+    }),
+    updated: ({ name, cardNo }) => ({
+      subject: `Your Thailand Digital Arrival Card ${cardNo} has been updated`,
+      text:
+        `Dear ${name},\n\nYour Thailand Digital Arrival Card ${cardNo} has been updated. ` +
+        "The attached card replaces any copy you received before.",
+    }),
+    resend: ({ name, cardNo, arrival }) => ({
+      subject: `Your Thailand Digital Arrival Card ${cardNo}`,
+      text: `Dear ${name},\n\nAs requested, your Thailand Digital Arrival Card ${cardNo} for arrival on ${arrival} is attached.`,
+    }),
+  },
+  th: {
+    issued: ({ name, cardNo, arrival }) => ({
+      subject: `บัตรขาเข้าประเทศไทยแบบดิจิทัลของคุณ ${cardNo}`,
+      text:
+        `เรียน ${name}\n\nแนบบัตรขาเข้าประเทศไทยแบบดิจิทัลหมายเลข ${cardNo} สำหรับการเดินทางเข้าวันที่ ${arrival} มาพร้อมอีเมลนี้ ` +
+        "กรุณาเก็บไว้พร้อมเอกสารการเดินทางและแสดงคิวอาร์โค้ดเมื่อเดินทางถึง",
+    }),
+    updated: ({ name, cardNo }) => ({
+      subject: `บัตรขาเข้าประเทศไทยแบบดิจิทัล ${cardNo} ได้รับการแก้ไขแล้ว`,
+      text:
+        `เรียน ${name}\n\nบัตรขาเข้าประเทศไทยแบบดิจิทัลหมายเลข ${cardNo} ได้รับการแก้ไขแล้ว ` +
+        "บัตรที่แนบมานี้ใช้แทนฉบับที่คุณได้รับก่อนหน้า",
+    }),
+    resend: ({ name, cardNo, arrival }) => ({
+      subject: `บัตรขาเข้าประเทศไทยแบบดิจิทัลของคุณ ${cardNo}`,
+      text: `เรียน ${name}\n\nตามที่คุณร้องขอ เราได้แนบบัตรขาเข้าประเทศไทยแบบดิจิทัลหมายเลข ${cardNo} สำหรับการเดินทางเข้าวันที่ ${arrival} มาพร้อมอีเมลนี้`,
+    }),
+  },
+  zh: {
+    issued: ({ name, cardNo, arrival }) => ({
+      subject: `您的泰国数字入境卡 ${cardNo}`,
+      text: `尊敬的 ${name}：\n\n随附您于 ${arrival} 入境的泰国数字入境卡（编号 ${cardNo}）。请与旅行证件一并保存，并在抵达时出示二维码。`,
+    }),
+    updated: ({ name, cardNo }) => ({
+      subject: `您的泰国数字入境卡 ${cardNo} 已更新`,
+      text: `尊敬的 ${name}：\n\n您的泰国数字入境卡（编号 ${cardNo}）已更新。随附的入境卡将取代您之前收到的版本。`,
+    }),
+    resend: ({ name, cardNo, arrival }) => ({
+      subject: `您的泰国数字入境卡 ${cardNo}`,
+      text: `尊敬的 ${name}：\n\n应您的要求，随附您于 ${arrival} 入境的泰国数字入境卡（编号 ${cardNo}）。`,
+    }),
+  },
+};
+
+// Email is optional: without SMTP_HOST nothing is queued. For local testing
+// point SMTP_HOST/SMTP_PORT at a sink such as MailHog (localhost:1025).
+const mailer = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT ?? 587),
+      secure: process.env.SMTP_SECURE === "true",
+      ...(process.env.SMTP_USER && {
+        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+      }),
+    })
+  : null;
+
+const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS ?? 5);
+// A job still marked "sending" after this long belongs to a worker that
+// died mid-send.
+const QUEUE_CLAIM_TIMEOUT_MINUTES = Number(
+  process.env.QUEUE_CLAIM_TIMEOUT_MINUTES ?? 10
+);
+
+// Puts stale claims back in the queue. The claim already counted the
+// attempt, so a job that keeps killing the worker still runs out of tries.
+const requeueStaleClaims = async (table, maxAttempts, exhaustedStatus) => {
+  const cutoff = new Date(
+    Date.now() - QUEUE_CLAIM_TIMEOUT_MINUTES * 60 * 1000
+  ).toISOString();
+  const staleClaims = (update) =>
+    supabase
+      .from(table)
+      .update(update)
+      .eq("status", "sending")
+      .or(`claimed_at.is.null,claimed_at.lt.${cutoff}`);
+
+  const { error: exhaustedError } = await staleClaims({
+    status: exhaustedStatus,
+    last_error: "Worker stopped before the send finished",
+  }).gte("attempts", maxAttempts);
+
+  if (exhaustedError) throw exhaustedError;
+
+  const { error } = await staleClaims({
+    status: "pending",
+    claimed_at: null,
+  }).lt("attempts", maxAttempts);
+
+  if (error) throw error;
+};
+
+const sendCardEmail = async (job) => {
+  const entry = await fetchEntryWithDetails(job.entry_form_id);
+  const to = entry.profiles.email;
+  if (!to) throw new Error("No email address on file");
+
+  const pdf = await pdfStorage.get(storedFileName(entry.filepath));
+  if (!pdf) throw new Error("Arrival card PDF not found in storage");
+
+  const language = entry.language ?? "en";
+  const { subject, text } = emailMessages[language][job.kind]({
+    name: `${entry.profiles.first_name} ${entry.profiles.family_name}`,
+    cardNo: entry.arrival_card_no,
+    arrival: formatDate(entry.travel_information.date_of_arrival),
+  });
+
+  await mailer.sendMail({
+    from: process.env.MAIL_FROM,
+    to,
+    subject,
+    text: `${text}\n\n${emailSignature[language]}`,
+    attachments: [
+      {
+        filename: `arrival-card-${entry.arrival_card_no}.pdf`,
+        content: pdf,
+        contentType: "application/pdf",
+      },
+    ],
+  });
+};
+
+let emailQueueRunning = false;
+
+// Jobs live in email_outbox so they survive restarts. A failed send is
+// retried with exponential backoff until EMAIL_MAX_ATTEMPTS, then left as
+// failed for someone to look at. Claims a worker never finished are picked
+// up again after QUEUE_CLAIM_TIMEOUT_MINUTES.
+const processEmailQueue = async () => {
+  if (!mailer || emailQueueRunning) return;
+  emailQueueRunning = true;
+
+  try {
+    await requeueStaleClaims("email_outbox", EMAIL_MAX_ATTEMPTS, "failed");
+
+    const { data: jobs, error } = await supabase
+      .from("email_outbox")
+      .select("*")
+      .eq("status", "pending")
+      .lte("next_attempt_at", new Date().toISOString())
+      .order("next_attempt_at")
+      .limit(20);
+
+    if (error) throw error;
+
+    for (const job of jobs) {
+      // Claim the job first so another instance does not send it too.
+      const attempts = job.attempts + 1;
+      const { data: claimed, error: claimError } = await supabase
+        .from("email_outbox")
+        .update({
+          status: "sending",
+          attempts,
+          claimed_at: new Date().toISOString(),
+        })
+        .eq("id", job.id)
+        .eq("status", "pending")
+        .select();
+
+      if (claimError) throw claimError;
+      if (!claimed || claimed.length === 0) continue;
+
+      let update;
+      try {
+        await sendCardEmail(job);
+        update = {
+          status: "sent",
+          attempts,
+          sent_at: new Date().toISOString(),
+        };
+        logger.info("Emailed card", {
+          kind: job.kind,
+          entryFormId: job.entry_form_id,
+        });
+      } catch (sendError) {
+        logger.error("Email failed", {
+          entryFormId: job.entry_form_id,
+          attempts,
+          error: sendError,
+        });
+        update = {
+          status: attempts >= EMAIL_MAX_ATTEMPTS ? "failed" : "pending",
+          attempts,
+          last_error: sendError.message,
+          next_attempt_at: new Date(
+            Date.now() + 60 * 1000 * 2 ** (attempts - 1)
+          ).toISOString(),
+        };
+      }
+
+      const { error: updateError } = await supabase
+        .from("email_outbox")
+        .update(update)
+        .eq("id", job.id);
+
+      if (updateError) throw updateError;
+    }
+  } finally {
+    emailQueueRunning = false;
+  }
+};
+
+// Returns whether an email was queued. A queueing failure is logged rather
+// than thrown: the card itself has been issued by the time this runs.
+const queueCardEmail = async (entryFormId, email, kind) => {
+  if (!mailer || !email) return false;
+
+  const { error } = await supabase
+    .from("email_outbox")
+    .insert([{ entry_form_id: entryFormId, kind }]);
+
+  if (error) {
+    logger.error("Failed to queue email", { error });
+    return false;
+  }
+
+  processEmailQueue().catch((error) =>
+    logger.error("Email queue error", { error })
+  );
+  return true;
+};
+
+const WEBHOOK_EVENTS = ["card.created", "card.updated", "card.cancelled"];
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS ?? 8);
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// Receivers should reject signatures older than this to stop replays.
+const WEBHOOK_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>". The timestamp
+// is signed too, so an old delivery cannot be passed off as a new one.
+const webhookHmac = (secret, body, timestamp) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+const signWebhook = (secret, body, timestamp) =>
+  `t=${timestamp},v1=${webhookHmac(secret, body, timestamp)}`;
+
+const verifyWebhookSignature = (secret, header, body, now = Date.now()) => {
+  const parts = Object.fromEntries(
+    String(header ?? "")
+      .split(",")
+      .map((part) => part.trim().split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (
+    !parts.v1 ||
+    !Number.isInteger(timestamp) ||
+    Math.abs(now / 1000 - timestamp) > WEBHOOK_SIGNATURE_TOLERANCE_SECONDS
+  ) {
+    return false;
+  }
+  return safeEqual(webhookHmac(secret, body, timestamp), parts.v1);
+};
+
+// Payloads are built when the delivery is sent rather than stored, so
+// webhook_deliveries holds no personal data and a retry carries the card
+// as it is now.
+const webhookPayload = (delivery, entry) => ({
+  id: delivery.event_id,
+  type: delivery.event,
+  createdAt: delivery.created_at,
+  data: {
+    arrival_card_no: entry.arrival_card_no,
+    status: getCardStatus(entry),
+    family_name: entry.profiles.family_name,
+    first_name: entry.profiles.first_name,
+    middle_name: entry.profiles.middle_name,
+    passport_no: entry.profiles.passport_no,
+    nationality: entry.profiles.selected_nationality,
+    date_of_arrival: toDateOnly(entry.travel_information.date_of_arrival),
+    date_of_departure: entry.travel_information.date_of_departure
+      ? toDateOnly(entry.travel_information.date_of_departure)
+      : null,
+    flight: entry.travel_information.flight_vehicle_no_arrival,
+    type_of_accommodation: entry.travel_information.type_of_accommodation,
+    province: entry.travel_information.province,
+    health_screening: entry.health_screening,
+    health_requirements: entry.travel_information.health_requirements ?? [],
+    cancelled_at: entry.cancelled_at,
+  },
+});
+
+const sendWebhook = async (delivery) => {
+  const { data: subscription, error } = await supabase
+    .from("webhook_subscriptions")
+    .select("url, secret")
+    .eq("id", delivery.subscription_id)
+    .single();
+
+  if (error) throw error;
+
+  const { data: entry, error: entryError } = await supabase
+    .from("entry_form")
+    .select(ENTRY_WITH_DETAILS)
+    .eq("id", delivery.entry_form_id)
+    .is("purged_at", null)
+    .maybeSingle();
+
+  if (entryError) throw entryError;
+  if (!entry) {
+    const purged = new Error("The arrival card has been purged");
+    purged.retry = false;
+    throw purged;
+  }
+
+  const body = JSON.stringify(webhookPayload(delivery, decryptEntry(entry)));
+  const response = await axios.post(subscription.url, body, {
+    headers: {
+      "Content-Type": "application/json",
+      "X-Webhook-Id": delivery.event_id,
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Signature": signWebhook(
+        subscription.secret,
+        body,
+        Math.floor(Date.now() / 1000)
+      ),
+    },
+    timeout: WEBHOOK_TIMEOUT_MS,
+    maxRedirects: 0,
+    validateStatus: () => true,
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    const failure = new Error(`Receiver responded with ${response.status}`);
+    failure.statusCode = response.status;
+    throw failure;
+  }
+  return response.status;
+};
+
+let webhookQueueRunning = false;
+
+// Works like the email queue: failed deliveries are retried with
+// exponential backoff, and after WEBHOOK_MAX_ATTEMPTS they are marked dead
+// and wait in the dead-letter list until someone replays them.
+const processWebhookQueue = async () => {
+  if (webhookQueueRunning) return;
+  webhookQueueRunning = true;
+
+  try {
+    await requeueStaleClaims(
+      "webhook_deliveries",
+      WEBHOOK_MAX_ATTEMPTS,
+      "dead"
+    );
+
+    const { data: deliveries, error } = await supabase
+      .from("webhook_deliveries")
+      .select("*")
+      .eq("status", "pending")
+      .lte("next_attempt_at", new Date().toISOString())
+      .order("next_attempt_at")
+      .limit(20);
+
+    if (error) throw error;
+
+    for (const delivery of deliveries) {
+      const attempts = delivery.attempts + 1;
+      const { data: claimed, error: claimError } = await supabase
+        .from("webhook_deliveries")
+        .update({
+          status: "sending",
+          attempts,
+          claimed_at: new Date().toISOString(),
+        })
+        .eq("id", delivery.id)
+        .eq("status", "pending")
+        .select();
+
+      if (claimError) throw claimError;
+      if (!claimed || claimed.length === 0) continue;
+
+      let update;
+      try {
+        const statusCode = await sendWebhook(delivery);
+        update = {
+          status: "delivered",
+          attempts,
+          last_status_code: statusCode,
+          delivered_at: new Date().toISOString(),
+        };
+        logger.info("Webhook delivered", {
+          event: delivery.event,
+          deliveryId: delivery.id,
+        });
+      } catch (sendError) {
+        logger.warn("Webhook delivery failed", {
+          deliveryId: delivery.id,
+          attempts,
+          error: sendError,
+        });
+        update = {
+          status:
+            sendError.retry === false
+              ? "cancelled"
+              : attempts >= WEBHOOK_MAX_ATTEMPTS
+              ? "dead"
+              : "pending",
+          attempts,
+          last_error: sendError.message,
+          last_status_code: sendError.statusCode ?? null,
+          next_attempt_at: new Date(
+            Date.now() + 30 * 1000 * 2 ** (attempts - 1)
+          ).toISOString(),
+        };
+      }
+
+      const { error: updateError } = await supabase
+        .from("webhook_deliveries")
+        .update(update)
+        .eq("id", delivery.id);
+
+      if (updateError) throw updateError;
+    }
+  } finally {
+    webhookQueueRunning = false;
+  }
+};
+
+// Queues one delivery per subscriber. Like queueCardEmail, failures are
+// logged rather than thrown, since the card change has already happened.
+const queueWebhookEvent = async (entryFormId, event) => {
+  try {
+    const { data: subscriptions, error } = await supabase
+      .from("webhook_subscriptions")
+      .select("id")
+      .eq("active", true)
+      .contains("events", [event]);
+
+    if (error) throw error;
+    if (subscriptions.length === 0) return;
+
+    const eventId = crypto.randomUUID();
+    const { error: insertError } = await supabase
+      .from("webhook_deliveries")
+      .insert(
+        subscriptions.map((subscription) => ({
+          subscription_id: subscription.id,
+          entry_form_id: entryFormId,
+          event,
+          event_id: eventId,
+        }))
+      );
+
+    if (insertError) throw insertError;
+  } catch (error) {
+    logger.error("Failed to queue webhook", { event, error });
+    return;
+  }
+
+  processWebhookQueue().catch((error) =>
+    logger.error("Webhook queue error", { error })
+  );
+};
+
+const webhookSubscriptionSchema = z.object({
+  url: z.url({ protocol: /^https?$/ }),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1),
+  description: z.string().trim().optional(),
+});
+
+const WEBHOOK_SUBSCRIPTION_COLUMNS = "id, url, events, description, created_at";
+
+app.post("/api/admin/webhooks", requireAdmin, async (req, res) => {
+  try {
+    const validation = webhookSubscriptionSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res
+        .status(400)
+        .json({ success: false, errors: fieldErrors(validation) });
+    }
+
+    const secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+    const { data, error } = await supabase
+      .from("webhook_subscriptions")
+      .insert([
+        {
+          ...validation.data,
+          events: [...new Set(validation.data.events)],
+          secret,
+        },
+      ])
+      .select(WEBHOOK_SUBSCRIPTION_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    // The secret is only ever shown here.
+    res.status(201).json({ success: true, subscription: data, secret });
+  } catch (error) {
+    logger.error("Webhook subscription error", { error });
+    sendServerError(res);
+  }
+});
+
+app.get("/api/admin/webhooks", requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("webhook_subscriptions")
+      .select(WEBHOOK_SUBSCRIPTION_COLUMNS)
+      .eq("active", true)
+      .order("id");
+
+    if (error) throw error;
+    res.json({ success: true, subscriptions: data });
+  } catch (error) {
+    logger.error("Webhook subscription error", { error });
+    sendServerError(res);
+  }
+});
+
+// Deactivated rather than deleted so its deliveries stay on record.
+app.delete("/api/admin/webhooks/:webhookId", requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("webhook_subscriptions")
+      .update({ active: false })
+      .eq("id", req.params.webhookId)
+      .eq("active", true)
+      .select("id");
+
+    if (error) throw error;
+    if (data.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Webhook subscription not found" });
+    }
+
+    // Nothing more will be sent to it, so drop what is still queued.
+    const { error: cancelError } = await supabase
+      .from("webhook_deliveries")
+      .update({ status: "cancelled" })
+      .eq("subscription_id", req.params.webhookId)
+      .eq("status", "pending");
+
+    if (cancelError) throw cancelError;
+    res.json({ success: true });
+  } catch (error) {
+    logger.error("Webhook subscription error", { error });
+    sendServerError(res);
+  }
+});
+
+const WEBHOOK_DELIVERY_COLUMNS =
+  "id, subscription_id, event, event_id, status, attempts, last_error, last_status_code, next_attempt_at, delivered_at, created_at";
+
+app.get("/api/admin/webhooks/dead-letters", requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("webhook_deliveries")
+      .select(WEBHOOK_DELIVERY_COLUMNS)
+      .eq("status", "dead")
+      .order("id");
+
+    if (error) throw error;
+    res.json({ success: true, deliveries: data });
+  } catch (error) {
+    logger.error("Webhook dead-letter error", { error });
+    sendServerError(res);
+  }
+});
+
+// Dead deliveries are replayed after fixing the receiver; delivered ones
+// when the receiver lost what it got. The event id stays the same.
+app.post(
+  "/api/admin/webhooks/deliveries/:deliveryId/replay",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("webhook_deliveries")
+        .update({
+          status: "pending",
+          attempts: 0,
+          last_error: null,
+          next_attempt_at: new Date().toISOString(),
+        })
+        .eq("id", req.params.deliveryId)
+        .in("status", ["dead", "delivered"])
+        .select(WEBHOOK_DELIVERY_COLUMNS);
+
+      if (error) throw error;
+      if (data.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "No dead or delivered webhook delivery with this id",
+        });
+      }
+
+      processWebhookQueue().catch((queueError) =>
+        logger.error("Webhook queue error", { error: queueError })
+      );
+      res.json({ success: true, delivery: data[0] });
+    } catch (error) {
+      logger.error("Webhook replay error", { error });
+      sendServerError(res);
+    }
+  }
+);
+
+// A receiver for trying webhooks out locally: register
+// http://localhost:5055/ and start it with the secret that was returned,
+//   WEBHOOK_RECEIVER_SECRET=whsec_... npm run webhook-receiver
+// WEBHOOK_RECEIVER_STATUS makes it answer with another status, to see
+// retries and the dead-letter list at work.
+const startWebhookReceiver = () => {
+  const port = Number(process.env.WEBHOOK_RECEIVER_PORT ?? 5055);
+  const status = Number(process.env.WEBHOOK_RECEIVER_STATUS ?? 200);
+  const secret = process.env.WEBHOOK_RECEIVER_SECRET;
+  if (!secret) throw new Error("WEBHOOK_RECEIVER_SECRET is not set");
+
+  return http
+    .createServer(async (req, res) => {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const body = Buffer.concat(chunks).toString("utf8");
+      const verified = verifyWebhookSignature(
+        secret,
+        req.headers["x-webhook-signature"],
+        body
+      );
+
+      logger.info("Webhook received", {
+        event: req.headers["x-webhook-event"],
+        eventId: req.headers["x-webhook-id"],
+        verified,
+        respondedWith: verified ? status : 401,
+      });
+      res.writeHead(verified ? status : 401).end();
+    })
+    .listen(port, () => logger.info("Webhook receiver running", { port }));
+};
+
+// Shared by /api/create and draft finalization. Returns the status and
+// body to respond with; unexpected errors are thrown after rolling back.
+const createArrivalCard = async (submission, sourceIp) => {
+  const { personalInfo, tripInfo, health } = submission;
+  const undo = [];
+
+  try {
+    const validationPI = personalInfoSchema.safeParse(personalInfo);
+    const validationTR = tripAccommodationSchema.safeParse(tripInfo);
+    const validationH = healthSchema.safeParse(health);
+
+    if (
+      !validationPI.success ||
+      !validationTR.success ||
+      !validationH.success
+    ) {
+      const errors = {
+        personalInfo: fieldErrors(validationPI),
+        tripInfo: fieldErrors(validationTR),
+        health: fieldErrors(validationH),
+      };
+      return { status: 400, body: { success: false, errors } };
+    }
+
+    const ruleErrors = await validateSubmission(
+      validationPI.data,
+      validationTR.data,
+      validationH.data
+    );
+
+    if (submission.mrz) {
+      const mrz = parseMrzTd3(submission.mrz);
+      if (mrz.errors) {
+        return { status: 400, body: { success: false, errors: mrz.errors } };
+      }
+      Object.assign(
+        ruleErrors.personalInfo,
+        crossCheckMrz(validationPI.data, mrz.personalInfo)
+      );
+    }
+
+    if (hasRuleErrors(ruleErrors)) {
+      return { status: 400, body: { success: false, errors: ruleErrors } };
+    }
+
+    const language = resolveLanguage(submission.lang);
+    if (!language) {
+      return {
+        status: 400,
+        body: { success: false, message: unsupportedLanguageMessage },
+      };
+    }
+
+    const { data: storedProfiles, error: profileError } = await supabase
+      .from("profiles")
+      .insert([encryptProfile(validationPI.data)])
+      .select();
+
+    if (profileError) throw profileError;
+    undo.push(deleteRow("profiles", storedProfiles[0].id));
+    const profileData = storedProfiles.map(decryptProfile);
+
+    const healthResult = evaluateHealthRules(
+      validationH.data,
+      validationTR.data
+    );
+    const travelData = {
+      ...validationTR.data,
+      countries_visited: health.countries_visited,
+      health_declarations: healthDeclarations(validationH.data),
+      health_requirements: healthResult.requirements,
+    };
+
+    const { data: trData, error: trError } = await supabase
+      .from("travel_information")
+      .insert([travelData])
+      .select();
+
+    if (trError) throw trError;
+    undo.push(deleteRow("travel_information", trData[0].id));
+
+    const { entry, uniqueId, pdfUrl, arrivalCardNo } = await issueArrivalCard(
+      validationPI.data,
+      validationTR.data,
+      profileData[0].id,
+      trData[0].id,
+      { language, undo, health: healthResult }
+    );
+
+    const snapshot = snapshotEntry({
+      ...entry[0],
+      profiles: profileData[0],
+      travel_information: trData[0],
+    });
+    await recordRevision(
+      entry[0].id,
+      diffSnapshots(null, snapshot),
+      snapshot,
+      sourceIp
+    );
+
+    const emailQueued = await queueCardEmail(
+      entry[0].id,
+      validationPI.data.email,
+      "issued"
+    );
+    await queueWebhookEvent(entry[0].id, "card.created");
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        profile: profileData,
+        travel: trData,
+        entry,
+        uniqueId,
+        pdfUrl,
+        arrivalCardNo,
+        healthRequirements: healthResult.requirements,
+        healthScreening: healthResult.screening,
+        emailQueued,
+      },
+    };
+  } catch (error) {
+    await rollback(undo);
+    throw error;
+  }
+};
+
+app.post("/api/create", async (req, res) => {
+  logger.debug("Create request", { body: req.body });
+
+  try {
+    const { status, body } = await createArrivalCard(
+      { ...req.body, lang: req.body.lang ?? req.query.lang },
+      req.ip
+    );
+    res.status(status).json(body);
+  } catch (error) {
+    logger.error("Error inserting data", { error });
+    sendServerError(res);
+  }
+});
+
+const DRAFT_TTL_HOURS = Number(process.env.DRAFT_TTL_HOURS ?? 72);
+// A draft still marked as finalizing after this long belongs to a request
+// that died before releasing it, so it may be saved or submitted again.
+const DRAFT_FINALIZE_TIMEOUT_MINUTES = Number(
+  process.env.DRAFT_FINALIZE_TIMEOUT_MINUTES ?? 2
+);
+
+const unclaimedDraftFilter = () => {
+  const cutoff = new Date(
+    Date.now() - DRAFT_FINALIZE_TIMEOUT_MINUTES * 60 * 1000
+  ).toISOString();
+  return `finalizing_at.is.null,finalizing_at.lt.${cutoff}`;
+};
+
+const draftSections = {
+  personalInfo: { column: "personal_info", schema: personalInfoSchema },
+  tripInfo: { column: "trip_info", schema: tripAccommodationSchema },
+  health: { column: "health", schema: healthSchema },
+};
+
+// Only the hash is stored, so a database leak does not hand out drafts.
+const hashResumeToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const draftExpiry = () =>
+  new Date(Date.now() + DRAFT_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+// The personal info section holds the same fields as a profile, so they are
+// encrypted the same way before the draft is saved.
+const encryptDraft = (update) =>
+  update.personal_info
+    ? {
+        ...update,
+        personal_info: mapEncryptedFields(update.personal_info, encryptField),
+        encryption_key_version: fieldEncryptionKeys[0].version,
+      }
+    : update;
+
+const decryptDraft = (draft) => {
+  if (!draft) return draft;
+
+  const { encryption_key_version, ...fields } = draft;
+  return encryption_key_version
+    ? {
+        ...fields,
+        personal_info: mapEncryptedFields(fields.personal_info, decryptField),
+      }
+    : fields;
+};
+
+// Each section in the body is checked against its own schema only; the
+// rules that span sections run when the draft is finalized.
+const validateDraftBody = (body) => {
+  const errors = {};
+  const update = {};
+
+  for (const [section, { column, schema }] of Object.entries(draftSections)) {
+    if (body[section] === undefined) continue;
+    const validation = schema.safeParse(body[section]);
+    if (validation.success) {
+      update[column] = validation.data;
+    } else {
+      errors[section] = fieldErrors(validation);
+    }
+  }
+
+  if (body.lang !== undefined) {
+    if (resolveLanguage(body.lang)) {
+      update.language = resolveLanguage(body.lang);
+    } else {
+      errors.lang = [unsupportedLanguageMessage];
+    }
+  }
+
+  return { errors, update };
+};
+
+const toDraftResponse = (draft) => ({
+  ...Object.fromEntries(
+    Object.entries(draftSections).map(([section, { column }]) => [
+      section,
+      draft[column] ?? undefined,
+    ])
+  ),
+  lang: draft.language ?? undefined,
+  missing: Object.entries(draftSections)
+    .filter(([, { column }]) => !draft[column])
+    .map(([section]) => section),
+  expiresAt: draft.expires_at,
+});
+
+const fetchDraft = async (token) => {
+  const { data, error } = await supabase
+    .from("submission_drafts")
+    .select("*")
+    .eq("token_hash", hashResumeToken(token))
+    .gt("expires_at", new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return decryptDraft(data);
+};
+
+const draftNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "This draft does not exist or has expired.",
+  });
+
+app.post("/api/drafts", async (req, res) => {
+  try {
+    const { errors, update } = validateDraftBody(req.body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const resumeToken = crypto.randomBytes(32).toString("base64url");
+    const { data, error } = await supabase
+      .from("submission_drafts")
+      .insert([
+        {
+          ...encryptDraft(update),
+          token_hash: hashResumeToken(resumeToken),
+          expires_at: draftExpiry(),
+        },
+      ])
+      .select();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      resumeToken,
+      ...toDraftResponse(decryptDraft(data[0])),
+    });
+  } catch (error) {
+    logger.error("Draft error", { error });
+    sendServerError(res);
+  }
+});
+
+app.get("/api/drafts/:resumeToken", async (req, res) => {
+  try {
+    const draft = await fetchDraft(req.params.resumeToken);
+    if (!draft) return draftNotFound(res);
+
+    res.json({ success: true, ...toDraftResponse(draft) });
+  } catch (error) {
+    logger.error("Draft error", { error });
+    sendServerError(res);
+  }
+});
+
+// Saves the sections present in the body and leaves the others as they
+// were. Every save pushes the expiry back.
+app.put("/api/drafts/:resumeToken", async (req, res) => {
+  try {
+    const { errors, update } = validateDraftBody(req.body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const { data, error } = await supabase
+      .from("submission_drafts")
+      .update({
+        ...encryptDraft(update),
+        updated_at: new Date().toISOString(),
+        expires_at: draftExpiry(),
+      })
+      .eq("token_hash", hashResumeToken(req.params.resumeToken))
+      .gt("expires_at", new Date().toISOString())
+      .or(unclaimedDraftFilter())
+      .select();
+
+    if (error) throw error;
+    if (data.length === 0) return draftNotFound(res);
+
+    res.json({ success: true, ...toDraftResponse(decryptDraft(data[0])) });
+  } catch (error) {
+    logger.error("Draft error", { error });
+    sendServerError(res);
+  }
+});
+
+app.delete("/api/drafts/:resumeToken", async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("submission_drafts")
+      .delete()
+      .eq("token_hash", hashResumeToken(req.params.resumeToken))
+      .select("id");
+
+    if (error) throw error;
+    if (data.length === 0) return draftNotFound(res);
+
+    res.json({ success: true, message: "Draft deleted" });
+  } catch (error) {
+    logger.error("Draft error", { error });
+    sendServerError(res);
+  }
+});
+
+app.post("/api/drafts/:resumeToken/finalize", async (req, res) => {
+  try {
+    const draft = await fetchDraft(req.params.resumeToken);
+    if (!draft) return draftNotFound(res);
+
+    const { missing } = toDraftResponse(draft);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Save ${missing.join(", ")} before submitting the draft.`,
+      });
+    }
+
+    // Claim the draft so a double tap cannot issue two cards from it.
+    const { data: claimed, error: claimError } = await supabase
+      .from("submission_drafts")
+      .update({ finalizing_at: new Date().toISOString() })
+      .eq("id", draft.id)
+      .or(unclaimedDraftFilter())
+      .select("id");
+
+    if (claimError) throw claimError;
+    if (claimed.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "This draft is already being submitted.",
+      });
+    }
+
+    let result;
+    try {
+      result = await createArrivalCard(
+        {
+          personalInfo: draft.personal_info,
+          tripInfo: draft.trip_info,
+          health: draft.health,
+          lang: req.body.lang ?? draft.language ?? req.query.lang,
+          mrz: req.body.mrz,
+        },
+        req.ip
+      );
+    } finally {
+      // Released on failure so the traveller can fix the draft and retry.
+      const { error: releaseError } =
+        result?.status === 200
+          ? await supabase.from("submission_drafts").delete().eq("id", draft.id)
+          : await supabase
+              .from("submission_drafts")
+              .update({ finalizing_at: null })
+              .eq("id", draft.id);
+
+      if (releaseError)
+        logger.warn("Could not release draft", { error: releaseError });
+    }
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    logger.error("Draft finalize error", { error });
+    sendServerError(res);
+  }
+});
+
+const MAX_GROUP_SIZE = 20;
+
+const groupSubmissionSchema = z.object({
+  travellers: z.array(z.unknown()).min(1).max(MAX_GROUP_SIZE),
+});
+
+app.post("/api/create-group", async (req, res) => {
+  const { travellers, tripInfo, health } = req.body;
+  const undo = [];
+
+  try {
+    const validationG = groupSubmissionSchema.safeParse(req.body);
+    const validationsPI = validationG.success
+      ? travellers.map((traveller) => personalInfoSchema.safeParse(traveller))
+      : [];
+    const validationTR = tripAccommodationSchema.safeParse(tripInfo);
+    const validationH = healthSchema.safeParse(health);
+
+    if (
+      !validationG.success ||
+      validationsPI.some((validation) => !validation.success) ||
+      !validationTR.success ||
+      !validationH.success
+    ) {
+      const errors = {
+        group: fieldErrors(validationG),
+        travellers: validationsPI.map(fieldErrors),
+        tripInfo: fieldErrors(validationTR),
+        health: fieldErrors(validationH),
+      };
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const tripData = validationTR.data;
+
+    const ruleErrors = await Promise.all(
+      validationsPI.map((validation) =>
+        validateSubmission(validation.data, tripData, validationH.data)
+      )
+    );
+    if (ruleErrors.some(hasRuleErrors)) {
+      const errors = {
+        group: {},
+        travellers: ruleErrors.map((e) => e.personalInfo),
+        tripInfo: Object.assign({}, ...ruleErrors.map((e) => e.tripInfo)),
+        health: Object.assign({}, ...ruleErrors.map((e) => e.health)),
+      };
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const language = resolveLanguage(req.body.lang ?? req.query.lang);
+    if (!language) return unsupportedLanguage(res);
+
+    const healthResult = evaluateHealthRules(validationH.data, tripData);
+    const { data: trData, error: trError } = await supabase
+      .from("travel_information")
+      .insert([
+        {
+          ...tripData,
+          countries_visited: health.countries_visited,
+          health_declarations: healthDeclarations(validationH.data),
+          health_requirements: healthResult.requirements,
+        },
+      ])
+      .select();
+
+    if (trError) throw trError;
+    undo.push(deleteRow("travel_information", trData[0].id));
+
+    const { data: groupData, error: groupError } = await supabase
+      .from("travel_groups")
+      .insert([{ tr_id: trData[0].id }])
+      .select();
+
+    if (groupError) throw groupError;
+
+    const groupId = groupData[0].id;
+    undo.push(deleteRow("travel_groups", groupId));
+    const members = [];
+
+    for (const validation of validationsPI) {
+      const personalData = validation.data;
+
+      const { data: storedProfiles, error: profileError } = await supabase
+        .from("profiles")
+        .insert([encryptProfile(personalData)])
+        .select();
+
+      if (profileError) throw profileError;
+      undo.push(deleteRow("profiles", storedProfiles[0].id));
+      const profileData = storedProfiles.map(decryptProfile);
+
+      const card = await issueArrivalCard(
+        personalData,
+        tripData,
+        profileData[0].id,
+        trData[0].id,
+        { groupId, language, undo, health: healthResult }
+      );
+
+      const snapshot = snapshotEntry({
+        ...card.entry[0],
+        profiles: profileData[0],
+        travel_information: trData[0],
+      });
+      await recordRevision(
+        card.entry[0].id,
+        diffSnapshots(null, snapshot),
+        snapshot,
+        req.ip
+      );
+
+      members.push({ personalData, profile: profileData, ...card });
+    }
+
+    const { chunks } = await createGroupPdf(
+      members.map((member) => ({
+        ...member,
+        tripData,
+        options: { language, healthRequirements: healthResult.requirements },
+      }))
+    );
+    const groupPdfUrl = await uploadPdf(
+      `group-${groupId}.pdf`,
+      Buffer.concat(chunks)
+    );
+    undo.push(removePdf(`group-${groupId}.pdf`));
+
+    const { error: groupUpdateError } = await supabase
+      .from("travel_groups")
+      .update({ filepath: groupPdfUrl })
+      .eq("id", groupId);
+
+    if (groupUpdateError) throw groupUpdateError;
+
+    for (const member of members) {
+      member.emailQueued = await queueCardEmail(
+        member.entry[0].id,
+        member.personalData.email,
+        "issued"
+      );
+      await queueWebhookEvent(member.entry[0].id, "card.created");
+    }
+
+    res.json({
+      success: true,
+      groupRef: groupId,
+      travel: trData,
+      pdfUrl: groupPdfUrl,
+      healthRequirements: healthResult.requirements,
+      healthScreening: healthResult.screening,
+      members: members.map((member) => ({
+        profile: member.profile,
+        entry: member.entry,
+        uniqueId: member.uniqueId,
+        pdfUrl: member.pdfUrl,
+        arrivalCardNo: member.arrivalCardNo,
+        emailQueued: member.emailQueued,
+      })),
+    });
+  } catch (error) {
+    logger.error("Error creating group", { error });
+    await rollback(undo);
+    sendServerError(res);
+  }
+});
+
+// Rows younger than this may belong to a creation that is still running.
+const ORPHAN_GRACE_MINUTES = Number(process.env.ORPHAN_GRACE_MINUTES ?? 60);
+
+const findOrphans = async (table, select, references) => {
+  const cutoff = new Date(
+    Date.now() - ORPHAN_GRACE_MINUTES * 60 * 1000
+  ).toISOString();
+  let query = supabase
+    .from(table)
+    .select([select, ...references.map((ref) => `${ref}!left(id)`)].join(", "))
+    .lt("created_at", cutoff);
+  for (const ref of references) query = query.is(ref, null);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+};
+
+const deleteRows = async (table, rows) => {
+  if (rows.length === 0) return;
+  const { error } = await supabase
+    .from(table)
+    .delete()
+    .in(
+      "id",
+      rows.map((row) => row.id)
+    );
+  if (error) throw error;
+};
+
+// Cleans up rows left behind by creations that failed before rollback
+// existed, or whose rollback itself failed. Groups go first because they
+// are what keeps an otherwise orphaned travel_information row referenced.
+const sweepOrphans = async () => {
+  const groups = await findOrphans("travel_groups", "id, filepath", [
+    "entry_form",
+  ]);
+  for (const group of groups) {
+    if (group.filepath) {
+      await removePdf(storedFileName(group.filepath))().catch((error) =>
+        logger.warn("Could not delete group PDF", { error })
+      );
+    }
+  }
+  await deleteRows("travel_groups", groups);
+
+  const profiles = await findOrphans("profiles", "id", ["entry_form"]);
+  await deleteRows("profiles", profiles);
+
+  const travel = await findOrphans("travel_information", "id", [
+    "entry_form",
+    "travel_groups",
+  ]);
+  await deleteRows("travel_information", travel);
+
+  const { data: drafts, error: draftsError } = await supabase
+    .from("submission_drafts")
+    .delete()
+    .lt("expires_at", new Date().toISOString())
+    .select("id");
+
+  if (draftsError) throw draftsError;
+
+  const result = {
+    travelGroups: groups.length,
+    profiles: profiles.length,
+    travelInformation: travel.length,
+    drafts: drafts.length,
+  };
+  logger.info("Orphan sweep finished", result);
+  return result;
+};
+
+app.post("/api/admin/sweep-orphans", requireAdmin, async (req, res) => {
+  try {
+    const deleted = await sweepOrphans();
+    res.json({ success: true, deleted });
+  } catch (error) {
+    logger.error("Orphan sweep error", { error });
+    sendServerError(res);
+  }
+});
+
+const findCardBySearchFields = async ({
+  arrivalCardNo,
+  date_of_birth,
+  date_of_arrival,
+  selected_nationality,
+}) => {
+  const { data, error } = await supabase
+    .from("entry_form")
+    .select(
+      `
+      *,
+      profiles!inner(
+        *
+      ),
+      travel_information!inner(
+        *
+      )
+    `
+    )
+    .eq("arrival_card_no", arrivalCardNo)
+    .eq(
+      "profiles.date_of_birth_bidx",
+      blindIndex("date_of_birth", date_of_birth)
+    )
+    .eq("profiles.selected_nationality", selected_nationality)
+    .eq("travel_information.date_of_arrival", date_of_arrival)
+    .single();
+
+  if (error) {
+    logger.error("Supabase error", { error });
+
+    if (error.code === "PGRST116") return null;
+    throw error;
+  }
+
+  return decryptEntry(data);
+};
+
+const SEARCH_WINDOW_MS = 15 * 60 * 1000;
+const SEARCH_LIMIT_PER_IP = Number(process.env.SEARCH_LIMIT_PER_IP ?? 20);
+const SEARCH_LIMIT_PER_CARD = Number(process.env.SEARCH_LIMIT_PER_CARD ?? 10);
+const SEARCH_LOCKOUT_AFTER = Number(process.env.SEARCH_LOCKOUT_AFTER ?? 5);
+const SEARCH_CAPTCHA_AFTER = Number(process.env.SEARCH_CAPTCHA_AFTER ?? 3);
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+// Misses are forgotten this long after the last one, so lockouts keep
+// escalating across windows but a few old typos do not count forever.
+const MISS_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// Per-process counters keyed by "ip:<addr>" and "card:<number>". Each
+// instance behind a load balancer enforces its own limits.
+const searchThrottle = new Map();
+
+const throttleEntry = (key, now = Date.now()) => {
+  let entry = searchThrottle.get(key);
+  if (!entry || now - entry.windowStart > SEARCH_WINDOW_MS) {
+    const remembered = entry && now - entry.lastMissAt < MISS_MEMORY_MS;
+    entry = {
+      windowStart: now,
+      attempts: 0,
+      misses: remembered ? entry.misses : 0,
+      lastMissAt: remembered ? entry.lastMissAt : 0,
+      lockedUntil: entry?.lockedUntil ?? 0,
+    };
+    searchThrottle.set(key, entry);
+  }
+  return entry;
+};
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of searchThrottle) {
+    if (
+      now - entry.windowStart > SEARCH_WINDOW_MS &&
+      entry.lockedUntil < now &&
+      now - entry.lastMissAt > MISS_MEMORY_MS
+    ) {
+      searchThrottle.delete(key);
+    }
+  }
+}, SEARCH_WINDOW_MS).unref();
+
+const throttleKeys = (req, arrivalCardNo) => [
+  { key: `ip:${req.ip}`, limit: SEARCH_LIMIT_PER_IP },
+  ...(arrivalCardNo
+    ? [{ key: `card:${arrivalCardNo}`, limit: SEARCH_LIMIT_PER_CARD }]
+    : []),
+];
+
+const logSecurityEvent = async (
+  eventType,
+  req,
+  arrivalCardNo,
+  details = {}
+) => {
+  logger.warn("Security event", {
+    eventType,
+    ip: req.ip,
+    arrivalCardNo,
+    ...details,
+  });
+  const { error } = await supabase.from("security_events").insert([
+    {
+      event_type: eventType,
+      ip: req.ip,
+      arrival_card_no: arrivalCardNo || null,
+      details: { path: req.path, userAgent: req.get("user-agent"), ...details },
+    },
+  ]);
+  if (error) logger.error("Failed to log security event", { error });
+};
+
+// Each miss past SEARCH_LOCKOUT_AFTER doubles the lockout, starting at one
+// minute, for both the client and the card number it was trying.
+const recordSearchMiss = async (req, arrivalCardNo, reason) => {
+  const now = Date.now();
+  for (const { key } of throttleKeys(req, arrivalCardNo)) {
+    const entry = throttleEntry(key, now);
+    entry.misses += 1;
+    entry.lastMissAt = now;
+    if (entry.misses >= SEARCH_LOCKOUT_AFTER) {
+      const lockout = Math.min(
+        60 * 1000 * 2 ** (entry.misses - SEARCH_LOCKOUT_AFTER),
+        MAX_LOCKOUT_MS
+      );
+      entry.lockedUntil = now + lockout;
+    }
+  }
+  await logSecurityEvent("search_miss", req, arrivalCardNo, { reason });
+};
+
+// Only the card's count is cleared: letting a success reset the client's
+// count would let an attacker who knows one card keep probing others.
+const clearSearchMisses = (arrivalCardNo) => {
+  const entry = searchThrottle.get(`card:${arrivalCardNo}`);
+  if (entry) entry.misses = 0;
+};
+
+// Optional CAPTCHA check against a siteverify-style endpoint (hCaptcha,
+// reCAPTCHA and Turnstile all accept this request).
+const verifyCaptcha = async (token, ip) => {
+  if (!token) return false;
+  const { data } = await axios.post(
+    process.env.CAPTCHA_VERIFY_URL,
+    new URLSearchParams({
+      secret: process.env.CAPTCHA_SECRET,
+      response: token,
+      remoteip: ip,
+    }),
+    { timeout: 5000 }
+  );
+  return data.success === true;
+};
+
+const searchGuard = async (req, res, next) => {
+  const arrivalCardNo = normalizeArrivalCardNo(req.body?.arrivalCardNo);
+  const now = Date.now();
+
+  try {
+    for (const { key, limit } of throttleKeys(req, arrivalCardNo)) {
+      const entry = throttleEntry(key, now);
+      const retryAfter =
+        entry.lockedUntil > now
+          ? entry.lockedUntil - now
+          : entry.attempts >= limit
+          ? entry.windowStart + SEARCH_WINDOW_MS - now
+          : 0;
+
+      if (retryAfter > 0) {
+        await logSecurityEvent("search_throttled", req, arrivalCardNo, {
+          key: key.split(":")[0],
+          locked: entry.lockedUntil > now,
+        });
+        return res
+          .status(429)
+          .set("Retry-After", String(Math.ceil(retryAfter / 1000)))
+          .json({
+            success: false,
+            message: "Too many attempts. Please try again later.",
+          });
+      }
+      entry.attempts += 1;
+    }
+
+    if (
+      process.env.CAPTCHA_VERIFY_URL &&
+      throttleEntry(`ip:${req.ip}`, now).misses >= SEARCH_CAPTCHA_AFTER &&
+      !(await verifyCaptcha(req.body?.captchaToken, req.ip))
+    ) {
+      await logSecurityEvent("captcha_failed", req, arrivalCardNo);
+      return res.status(403).json({
+        success: false,
+        captchaRequired: true,
+        message: "Please complete the CAPTCHA and try again.",
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error("Search guard error", { error });
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while searching. Please try again.",
+    });
+  }
+};
+
+const EDIT_TOKEN_COOKIE = "edit_token";
+const EDIT_TOKEN_TTL_MINUTES = Number(process.env.EDIT_TOKEN_TTL_MINUTES ?? 15);
+
+const editTokenSecret =
+  process.env.EDIT_TOKEN_SECRET ||
+  (() => {
+    warnEphemeralSecret(
+      "EDIT_TOKEN_SECRET",
+      "edit sessions will not survive a restart"
+    );
+    return crypto.randomBytes(32).toString("hex");
+  })();
+
+const signEditPayload = (payload) =>
+  crypto
+    .createHmac("sha256", editTokenSecret)
+    .update(payload)
+    .digest("base64url");
+
+// The token only names the entry; profile and trip ids are looked up from
+// it so a client can never point an edit at somebody else's rows.
+const issueEditToken = (entryFormId) => {
+  const expiresAt = Date.now() + EDIT_TOKEN_TTL_MINUTES * 60 * 1000;
+  const payload = base64UrlJson({ eid: entryFormId, exp: expiresAt });
+  return { token: `${payload}.${signEditPayload(payload)}`, expiresAt };
+};
+
+const verifyEditToken = (token) => {
+  const [payload, signature, ...rest] = String(token).split(".");
+  if (!payload || !signature || rest.length > 0) return null;
+  if (!safeEqual(signature, signEditPayload(payload))) return null;
+
+  try {
+    const { eid, exp } = JSON.parse(Buffer.from(payload, "base64url"));
+    return exp > Date.now() ? { entryFormId: eid } : null;
+  } catch {
+    return null;
+  }
+};
+
+const requireEditSession = (req, res, next) => {
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ")
+    ? header.slice(7)
+    : req.cookies?.[EDIT_TOKEN_COOKIE];
+  const session = token && verifyEditToken(token);
+
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      message:
+        "Your edit session is missing or has expired. Please search for your card again.",
+    });
+  }
+  req.editSession = session;
+  next();
+};
+
+app.put("/api/update-search", searchGuard, async (req, res) => {
+  const { date_of_birth, date_of_arrival, selected_nationality } = req.body;
+  const arrivalCardNo = req.body.arrivalCardNo
+    ? normalizeArrivalCardNo(req.body.arrivalCardNo)
+    : undefined;
+
+  try {
+    if (
+      !arrivalCardNo ||
+      !date_of_birth ||
+      !date_of_arrival ||
+      !selected_nationality
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "All search fields are required",
+      });
+    }
+
+    if (!isValidArrivalCardNo(arrivalCardNo)) {
+      await recordSearchMiss(req, arrivalCardNo, "invalid_card_no");
+      return res.status(400).json({
+        success: false,
+        message:
+          "The arrival card number is not valid. Please check it and try again.",
+      });
+    }
+
+    const data = await findCardBySearchFields({ ...req.body, arrivalCardNo });
+
+    if (!data) {
+      await recordSearchMiss(req, arrivalCardNo, "not_found");
+      return res.status(404).json({
+        success: false,
+        message:
+          "No matching record found. Please check your information and try again.",
+      });
+    }
+
+    clearSearchMisses(arrivalCardNo);
+
+    if (data.cancelled_at) {
+      return res.status(410).json({
+        success: false,
+        message: "This arrival card has been cancelled.",
+      });
+    }
+
+    const { token, expiresAt } = issueEditToken(data.id);
+    res.cookie(EDIT_TOKEN_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "strict",
+      secure: process.env.NODE_ENV === "production",
+      path: "/api",
+      maxAge: EDIT_TOKEN_TTL_MINUTES * 60 * 1000,
+    });
+
+    res.json({
+      success: true,
+      data: data,
+      editToken: token,
+      editTokenExpiresAt: new Date(expiresAt).toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error searching data", { error });
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while searching. Please try again.",
+    });
+  }
+});
+
+const toPersonalData = (profile) => ({
+  first_name: profile.first_name,
+  middle_name: profile.middle_name,
+  family_name: profile.family_name,
+  passport_no: profile.passport_no,
+  selected_nationality: profile.selected_nationality,
+  date_of_birth: profile.date_of_birth,
+  occupation: profile.occupation,
+  gender: profile.gender,
+  visa_no: profile.visa_no,
+  selected_country: profile.selected_country,
+  selected_city: profile.selected_city,
+  phone_no_code: profile.phone_no_code,
+  phone_no: profile.phone_no,
+});
+
+const toTripData = (travel) => ({
+  date_of_arrival: travel.date_of_arrival,
+  date_of_departure: travel.date_of_departure,
+  country_boarded: travel.country_boarded,
+  purpose_of_travel: travel.purpose_of_travel,
+  mode_of_travel_arrival: travel.mode_of_travel_arrival,
+  mode_of_transport_arrival: travel.mode_of_transport_arrival,
+  flight_vehicle_no_arrival: travel.flight_vehicle_no_arrival,
+  mode_of_travel_departure: travel.mode_of_travel_departure,
+  mode_of_transport_departure: travel.mode_of_transport_departure,
+  flight_vehicle_no_departure: travel.flight_vehicle_no_departure,
+  type_of_accommodation: travel.type_of_accommodation,
+  province: travel.province,
+  district_area: travel.district_area,
+  sub_district: travel.sub_district,
+  post_code: travel.post_code,
+  address: travel.address,
+});
+
+const ENTRY_WITH_DETAILS = `
+  *,
+  profiles(*),
+  travel_information(*)
+`;
+
+// Filters on an embedded table only drop entries when the embed is inner.
+const ENTRY_WITH_DETAILS_INNER = `
+  *,
+  profiles!inner(*),
+  travel_information!inner(*)
+`;
+
+const fetchEntryWithDetails = async (entryFormId) => {
+  const { data, error } = await supabase
+    .from("entry_form")
+    .select(ENTRY_WITH_DETAILS)
+    .eq("id", entryFormId)
+    .single();
+
+  if (error) throw error;
+  return decryptEntry(data);
+};
+
+const cardPdfOptions = (entry) => ({
+  cancelled: Boolean(entry.cancelled_at),
+  language: entry.language,
+  healthRequirements: entry.travel_information.health_requirements ?? [],
+});
+
+const regenerateCardPdf = async (entry) => {
+  if (entry.filepath) {
+    const oldFileName = storedFileName(entry.filepath);
+    logger.debug("Deleting old PDF", { fileName: oldFileName });
+
+    try {
+      await pdfStorage.remove(oldFileName);
+      logger.debug("Old PDF deleted", { fileName: oldFileName });
+    } catch (deleteError) {
+      logger.warn("Could not delete old PDF", { error: deleteError });
+    }
+  }
+
+  const personalData = toPersonalData(entry.profiles);
+  const tripData = toTripData(entry.travel_information);
+  const arrivalCardNo = entry.arrival_card_no;
+  const uniqueId = entry.qrcode_data;
+  const fullUpdateUrl = buildUpdateUrl(arrivalCardNo, personalData, tripData);
+
+  logger.info("Regenerating PDF", { arrivalCardNo });
+
+  const { chunks } = await createPdf(
+    personalData,
+    tripData,
+    arrivalCardNo,
+    fullUpdateUrl,
+    signCardQr(arrivalCardNo, personalData, tripData),
+    cardPdfOptions(entry)
+  );
+
+  const pdfBuffer = Buffer.concat(chunks);
+  logger.debug("PDF generated", { bytes: pdfBuffer.length });
+
+  const publicUrl = await uploadPdf(`${uniqueId}.pdf`, pdfBuffer, true);
+  const newPublicUrl = `${publicUrl}?t=${Date.now()}`;
+  logger.debug("New public URL", { publicUrl: newPublicUrl });
+
+  const { error: updateFilepathError } = await supabase
+    .from("entry_form")
+    .update({ filepath: newPublicUrl })
+    .eq("id", entry.id);
+
+  if (updateFilepathError) {
+    logger.error("Error updating filepath", { error: updateFilepathError });
+    throw updateFilepathError;
+  }
+
+  logger.debug("Database updated with new filepath");
+  return newPublicUrl;
+};
+
+const regenerateGroupPdf = async (groupId) => {
+  const { data: entries, error } = await supabase
+    .from("entry_form")
+    .select(ENTRY_WITH_DETAILS)
+    .eq("group_id", groupId)
+    .is("purged_at", null)
+    .order("id");
+
+  if (error) throw error;
+
+  const cards = entries.map(decryptEntry).map((entry) => {
+    const personalData = toPersonalData(entry.profiles);
+    const tripData = toTripData(entry.travel_information);
+    return {
+      personalData,
+      tripData,
+      arrivalCardNo: entry.arrival_card_no,
+      fullUpdateUrl: buildUpdateUrl(
+        entry.arrival_card_no,
+        personalData,
+        tripData
+      ),
+      qrData: signCardQr(entry.arrival_card_no, personalData, tripData),
+      options: cardPdfOptions(entry),
+    };
+  });
+
+  const { chunks } = await createGroupPdf(cards);
+  const publicUrl = await uploadPdf(
+    `group-${groupId}.pdf`,
+    Buffer.concat(chunks),
+    true
+  );
+  const filepath = `${publicUrl}?t=${Date.now()}`;
+
+  const { error: updateError } = await supabase
+    .from("travel_groups")
+    .update({ filepath })
+    .eq("id", groupId);
+
+  if (updateError) throw updateError;
+  return filepath;
+};
+
+// Holds everything the card PDF prints, so a revision can be reprinted as
+// it looked at the time.
+const snapshotEntry = (entry) => {
+  const pick = (row, fields) =>
+    Object.fromEntries(fields.map((field) => [field, row[field] ?? null]));
+
+  return {
+    personalInfo: pick(entry.profiles, Object.keys(personalInfoSchema.shape)),
+    tripInfo: pick(entry.travel_information, [
+      ...Object.keys(tripAccommodationSchema.shape),
+      "countries_visited",
+      "health_declarations",
+      "health_requirements",
+    ]),
+    card: pick(entry, ["language"]),
+  };
+};
+
+// jsonb does not keep key order, so objects are compared with sorted keys.
+const stableJson = (value) =>
+  JSON.stringify(value, (key, nested) =>
+    nested && typeof nested === "object" && !Array.isArray(nested)
+      ? Object.fromEntries(
+          Object.entries(nested).sort(([a], [b]) => (a < b ? -1 : 1))
+        )
+      : nested
+  );
+
+const withoutUndefined = (row) =>
+  Object.fromEntries(
+    Object.entries(row).filter(([, value]) => value !== undefined)
+  );
+
+const diffSnapshots = (before, after) => {
+  const changes = [];
+
+  for (const section of Object.keys(after)) {
+    const previous = before?.[section] ?? {};
+    const fields = new Set([
+      ...Object.keys(previous),
+      ...Object.keys(after[section]),
+    ]);
+
+    for (const field of fields) {
+      const from = previous[field] ?? null;
+      const to = after[section][field] ?? null;
+      if (stableJson(from) !== stableJson(to)) {
+        changes.push({ field: `${section}.${field}`, from, to });
+      }
+    }
+  }
+
+  return changes;
+};
+
+// The database numbers revisions, under a lock on the card.
+const revisionRow = (entryFormId, changes, snapshot, sourceIp) => ({
+  entry_form_id: entryFormId,
+  ...mapRevisionFields({ changes, snapshot }, encryptField),
+  encryption_key_version: fieldEncryptionKeys[0].version,
+  source_ip: sourceIp,
+});
+
+const recordRevision = async (entryFormId, changes, snapshot, sourceIp) => {
+  const { error } = await supabase.rpc("record_entry_revisions", {
+    p_revisions: [revisionRow(entryFormId, changes, snapshot, sourceIp)],
+  });
+
+  if (error) throw error;
+};
+
+// Name, passport, nationality and date of birth identify the traveller and
+// cannot be changed on an existing card.
+const updatePersonalInfoSchema = personalInfoSchema.pick({
+  occupation: true,
+  gender: true,
+  visa_no: true,
+  selected_country: true,
+  selected_city: true,
+  phone_no_code: true,
+  phone_no: true,
+  email: true,
+});
+
+const updateTripInfoSchema = tripAccommodationSchema.extend({
+  countries_visited: z.array(z.string()).min(1).optional(),
+});
+
+const updateHealthSchema = healthSchema.partial();
+
+app.put("/api/update-form", requireEditSession, async (req, res) => {
+  const { entryFormId: entry_form_id } = req.editSession;
+
+  try {
+    const validationPI = updatePersonalInfoSchema.safeParse(
+      req.body.personalInfo
+    );
+    const validationTR = updateTripInfoSchema.safeParse(req.body.tripInfo);
+    const validationH = updateHealthSchema.safeParse(req.body.health ?? {});
+
+    if (
+      !validationPI.success ||
+      !validationTR.success ||
+      !validationH.success
+    ) {
+      const errors = {
+        personalInfo: fieldErrors(validationPI),
+        tripInfo: fieldErrors(validationTR),
+        health: fieldErrors(validationH),
+      };
+      return res.status(400).json({ success: false, errors });
+    }
+    const personalInfo = validationPI.data;
+    const tripInfo = validationTR.data;
+
+    const currentEntry = await fetchEntryWithDetails(entry_form_id);
+    const { tr_id } = currentEntry;
+
+    if (currentEntry.cancelled_at) {
+      return res.status(410).json({
+        success: false,
+        message: "This arrival card has been cancelled.",
+      });
+    }
+
+    const language = resolveLanguage(
+      req.body.lang ?? req.query.lang ?? currentEntry.language
+    );
+    if (!language) return unsupportedLanguage(res);
+
+    const profileUpdate = {
+      occupation: personalInfo.occupation,
+      gender: personalInfo.gender,
+      visa_no: personalInfo.visa_no,
+      selected_country: personalInfo.selected_country,
+      selected_city: personalInfo.selected_city,
+      phone_no_code: String(personalInfo.phone_no_code),
+      phone_no: String(personalInfo.phone_no),
+      email: personalInfo.email,
+    };
+
+    // Declarations sent with the update replace the stored ones, so
+    // answers for countries no longer visited do not linger.
+    const health = {
+      ...(req.body.health
+        ? healthDeclarations(validationH.data)
+        : currentEntry.travel_information.health_declarations),
+      countries_visited:
+        validationH.data.countries_visited ??
+        tripInfo.countries_visited ??
+        currentEntry.travel_information.countries_visited,
+    };
+
+    const ruleErrors = await validateSubmission(
+      { ...currentEntry.profiles, ...profileUpdate },
+      tripInfo,
+      health
+    );
+    if (hasRuleErrors(ruleErrors)) {
+      return res.status(400).json({ success: false, errors: ruleErrors });
+    }
+    const healthResult = evaluateHealthRules(health, tripInfo);
+
+    const travelUpdate = {
+      date_of_arrival: tripInfo.date_of_arrival,
+      date_of_departure: tripInfo.date_of_departure,
+      country_boarded: tripInfo.country_boarded,
+      purpose_of_travel: tripInfo.purpose_of_travel,
+      purpose_of_travel_other: tripInfo.purpose_of_travel_other,
+      mode_of_travel_arrival: tripInfo.mode_of_travel_arrival,
+      mode_of_transport_arrival: tripInfo.mode_of_transport_arrival,
+      mode_of_transport_arrival_other: tripInfo.mode_of_transport_arrival_other,
+      flight_vehicle_no_arrival: tripInfo.flight_vehicle_no_arrival,
+      mode_of_travel_departure: tripInfo.mode_of_travel_departure,
+      mode_of_transport_departure: tripInfo.mode_of_transport_departure,
+      mode_of_transport_departure_other:
+        tripInfo.mode_of_transport_departure_other,
+      flight_vehicle_no_departure: tripInfo.flight_vehicle_no_departure,
+      type_of_accommodation: tripInfo.type_of_accommodation,
+      type_other: tripInfo.type_other,
+      province: tripInfo.province,
+      district_area: tripInfo.district_area,
+      sub_district: tripInfo.sub_district,
+      post_code: tripInfo.post_code,
+      address: tripInfo.address,
+      countries_visited: health.countries_visited,
+      health_declarations: healthDeclarations(health),
+      health_requirements: healthResult.requirements,
+    };
+
+    // Group members share one travel_information row, so a trip change
+    // also lands in every other member's revisions and printed card.
+    const { data: sharedRows, error: sharedError } = await supabase
+      .from("entry_form")
+      .select(ENTRY_WITH_DETAILS)
+      .eq("tr_id", tr_id)
+      .neq("id", entry_form_id)
+      .is("purged_at", null);
+
+    if (sharedError) throw sharedError;
+    const sharedEntries = sharedRows.map(decryptEntry);
+
+    // Fields left undefined are not sent, so they keep their stored value.
+    const before = snapshotEntry(currentEntry);
+    const after = snapshotEntry({
+      language,
+      profiles: {
+        ...currentEntry.profiles,
+        ...withoutUndefined(profileUpdate),
+      },
+      travel_information: {
+        ...currentEntry.travel_information,
+        ...withoutUndefined(travelUpdate),
+      },
+    });
+    const tripChanges = diffSnapshots(
+      { tripInfo: before.tripInfo },
+      { tripInfo: after.tripInfo }
+    );
+
+    const { passport_no, date_of_birth } = currentEntry.profiles;
+    const { error: updateError } = await supabase.rpc(
+      "update_entry_with_revisions",
+      {
+        p_entry_form_id: entry_form_id,
+        p_profile: encryptProfile({
+          ...profileUpdate,
+          passport_no,
+          date_of_birth,
+        }),
+        p_travel: travelUpdate,
+        p_health_screening: healthResult.screening,
+        p_language: language,
+        p_revisions: [
+          revisionRow(
+            entry_form_id,
+            diffSnapshots(before, after),
+            after,
+            req.ip
+          ),
+          ...(tripChanges.length > 0 ? sharedEntries : []).map((entry) =>
+            revisionRow(
+              entry.id,
+              tripChanges,
+              { ...snapshotEntry(entry), tripInfo: after.tripInfo },
+              req.ip
+            )
+          ),
+        ],
+      }
+    );
+
+    if (updateError) throw updateError;
+
+    const updatedData = await fetchEntryWithDetails(entry_form_id);
+    const newPublicUrl = await regenerateCardPdf(updatedData);
+
+    for (const entry of sharedEntries) {
+      await regenerateCardPdf({
+        ...entry,
+        health_screening: updatedData.health_screening,
+        travel_information: updatedData.travel_information,
+      });
+      if (tripChanges.length > 0) {
+        await queueCardEmail(entry.id, entry.profiles.email, "updated");
+        await queueWebhookEvent(entry.id, "card.updated");
+      }
+    }
+
+    const groupPdfUrl = updatedData.group_id
+      ? await regenerateGroupPdf(updatedData.group_id)
+      : undefined;
+
+    const emailQueued = await queueCardEmail(
+      updatedData.id,
+      updatedData.profiles.email,
+      "updated"
+    );
+    await queueWebhookEvent(updatedData.id, "card.updated");
+
+    res.json({
+      success: true,
+      message: "Form updated successfully",
+      pdfUrl: newPublicUrl,
+      groupPdfUrl,
+      healthRequirements: healthResult.requirements,
+      healthScreening: healthResult.screening,
+      emailQueued,
+    });
+  } catch (error) {
+    logger.error("Update error", { error });
+    sendServerError(res);
+  }
+});
+
+const cancelSchema = z.object({
+  arrivalCardNo: z
+    .string()
+    .min(1)
+    .transform(normalizeArrivalCardNo)
+    .refine(isValidArrivalCardNo, "The arrival card number is not valid"),
+  date_of_birth: z.string().min(1),
+  date_of_arrival: z.string().min(1),
+  selected_nationality: z.string().min(1),
+  reason: z.string().trim().min(1, "Please give a reason for cancelling"),
+});
+
+const cardLookupSchema = cancelSchema.omit({ reason: true });
+
+app.put("/api/cancel", searchGuard, async (req, res) => {
+  try {
+    const validation = cancelSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res
+        .status(400)
+        .json({ success: false, errors: fieldErrors(validation) });
+    }
+
+    const entry = await findCardBySearchFields(validation.data);
+    if (!entry) {
+      await recordSearchMiss(req, validation.data.arrivalCardNo, "not_found");
+      return res.status(404).json({
+        success: false,
+        message:
+          "No matching record found. Please check your information and try again.",
+      });
+    }
+
+    if (entry.cancelled_at) {
+      return res.status(410).json({
+        success: false,
+        message: "This arrival card has already been cancelled.",
+      });
+    }
+
+    if (entry.used_at) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This arrival card has already been used and cannot be cancelled.",
+      });
+    }
+
+    const { data: cancelled, error: cancelError } = await supabase
+      .from("entry_form")
+      .update({
+        cancelled_at: new Date().toISOString(),
+        cancel_reason: validation.data.reason,
+      })
+      .eq("id", entry.id)
+      .is("cancelled_at", null)
+      .select();
+
+    if (cancelError) throw cancelError;
+
+    if (!cancelled || cancelled.length === 0) {
+      return res.status(410).json({
+        success: false,
+        message: "This arrival card has already been cancelled.",
+      });
+    }
+
+    logger.info("Arrival card cancelled", {
+      arrivalCardNo: entry.arrival_card_no,
+    });
+
+    const cancelledEntry = { ...entry, ...cancelled[0] };
+    const pdfUrl = await regenerateCardPdf(cancelledEntry);
+    const groupPdfUrl = cancelledEntry.group_id
+      ? await regenerateGroupPdf(cancelledEntry.group_id)
+      : undefined;
+    await queueWebhookEvent(entry.id, "card.cancelled");
+
+    res.json({
+      success: true,
+      message: "Arrival card cancelled",
+      cancelledAt: cancelledEntry.cancelled_at,
+      pdfUrl,
+      groupPdfUrl,
+    });
+  } catch (error) {
+    logger.error("Cancel error", { error });
+    sendServerError(res);
+  }
+});
+
+app.post("/api/resend-card", searchGuard, async (req, res) => {
+  try {
+    const validation = cardLookupSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res
+        .status(400)
+        .json({ success: false, errors: fieldErrors(validation) });
+    }
+
+    const entry = await findCardBySearchFields(validation.data);
+    if (!entry) {
+      await recordSearchMiss(req, validation.data.arrivalCardNo, "not_found");
+      return res.status(404).json({
+        success: false,
+        message:
+          "No matching record found. Please check your information and try again.",
+      });
+    }
+
+    if (entry.cancelled_at) {
+      return res.status(410).json({
+        success: false,
+        message: "This arrival card has been cancelled.",
+      });
+    }
+
+    if (!mailer) {
+      return res.status(503).json({
+        success: false,
+        message: "Email delivery is not available at the moment.",
+      });
+    }
+
+    if (!(await queueCardEmail(entry.id, entry.profiles.email, "resend"))) {
+      return res.status(422).json({
+        success: false,
+        message: "There is no email address on this arrival card.",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Your arrival card will be emailed to you shortly.",
+    });
+  } catch (error) {
+    logger.error("Resend error", { error });
+    sendServerError(res);
+  }
+});
+
+const fetchEntryByCardNo = async (arrivalCardNo) => {
+  const { data, error } = await supabase
+    .from("entry_form")
+    .select(ENTRY_WITH_DETAILS)
+    .eq("arrival_card_no", normalizeArrivalCardNo(arrivalCardNo))
+    .is("purged_at", null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return decryptEntry(data);
+};
+
+app.get(
+  "/api/cards/:arrivalCardNo/revisions",
+  requireOfficer,
+  async (req, res) => {
+    try {
+      const entry = await fetchEntryByCardNo(req.params.arrivalCardNo);
+      if (!entry) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Arrival card not found" });
+      }
+
+      const { data, error } = await supabase
+        .from("entry_form_revisions")
+        .select(
+          "revision_no, changes, source_ip, created_at, encryption_key_version"
+        )
+        .eq("entry_form_id", entry.id)
+        .order("revision_no", { ascending: true });
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        arrivalCardNo: entry.arrival_card_no,
+        revisions: data.map(decryptRevision),
+      });
+    } catch (error) {
+      logger.error("Revision list error", { error });
+      sendServerError(res);
+    }
+  }
+);
+
+app.get(
+  "/api/cards/:arrivalCardNo/revisions/:revisionNo/pdf",
+  requireOfficer,
+  async (req, res) => {
+    try {
+      const entry = await fetchEntryByCardNo(req.params.arrivalCardNo);
+      if (!entry) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Arrival card not found" });
+      }
+
+      const { data: revision, error } = await supabase
+        .from("entry_form_revisions")
+        .select("*")
+        .eq("entry_form_id", entry.id)
+        .eq("revision_no", req.params.revisionNo)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!revision) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Revision not found" });
+      }
+
+      // Revisions recorded before the snapshot held the language and health
+      // requirements fall back to today's language and no health block.
+      const { personalInfo, tripInfo, card } =
+        decryptRevision(revision).snapshot;
+      const language = resolveLanguage(
+        req.query.lang ?? card?.language ?? entry.language
+      );
+      if (!language) return unsupportedLanguage(res);
+
+      const { chunks } = await createPdf(
+        personalInfo,
+        tripInfo,
+        entry.arrival_card_no,
+        buildUpdateUrl(entry.arrival_card_no, personalInfo, tripInfo),
+        // Historical copies carry the bare id, never a valid signature.
+        entry.qrcode_data,
+        {
+          transactionDate: revision.created_at,
+          language,
+          healthRequirements: tripInfo.health_requirements ?? [],
+        }
+      );
+
+      res
+        .type("application/pdf")
+        .set(
+          "Content-Disposition",
+          `inline; filename="${entry.arrival_card_no}-rev${revision.revision_no}.pdf"`
+        )
+        .send(Buffer.concat(chunks));
+    } catch (error) {
+      logger.error("Revision PDF error", { error });
+      sendServerError(res);
+    }
+  }
+);
+
+// Cards are purged RETENTION_DAYS after the date of departure, or after the
+// date of arrival when no departure was given. 0 keeps everything.
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS ?? 0);
+const RETENTION_MODES = ["delete", "anonymise"];
+const RETENTION_MODE = process.env.RETENTION_MODE || "delete";
+
+if (!RETENTION_MODES.includes(RETENTION_MODE)) {
+  throw new Error(
+    `RETENTION_MODE must be one of ${RETENTION_MODES.join(", ")}`
+  );
+}
+
+// What anonymising clears. Nationality, gender, occupation, country and the
+// trip itself stay so the statistics still add up.
+const ANONYMISED_PROFILE = {
+  family_name: null,
+  first_name: null,
+  middle_name: null,
+  passport_no: null,
+  visa_no: null,
+  phone_no_code: null,
+  phone_no: null,
+  email: null,
+  date_of_birth: null,
+  selected_city: null,
+  passport_no_bidx: null,
+  date_of_birth_bidx: null,
+};
+
+const ANONYMISED_TRIP = { address: null, post_code: null, sub_district: null };
+
+const retentionBasisDate = (travel) =>
+  toDateOnly(travel.date_of_departure ?? travel.date_of_arrival);
+
+const findExpiredEntries = async (cutoff) => {
+  const expired = (filter) =>
+    fetchAllPages(() =>
+      filter(
+        supabase
+          .from("entry_form")
+          .select(
+            "id, arrival_card_no, filepath, profile_id, tr_id, group_id, legal_hold_at, travel_information!inner(date_of_arrival, date_of_departure)"
+          )
+          .is("purged_at", null)
+          .order("id")
+      )
+    );
+
+  return [
+    ...(await expired((query) =>
+      query.lt("travel_information.date_of_departure", cutoff)
+    )),
+    ...(await expired((query) =>
+      query
+        .is("travel_information.date_of_departure", null)
+        .lt("travel_information.date_of_arrival", cutoff)
+    )),
+  ];
+};
+
+const recordRetentionAudit = async (entry, action, details = {}) => {
+  const { data, error } = await supabase
+    .from("retention_audit")
+    .insert([
+      {
+        action,
+        entry_form_id: entry.id,
+        arrival_card_no: entry.arrival_card_no,
+        ...details,
+      },
+    ])
+    .select("id");
+
+  if (error) throw error;
+  return data[0].id;
+};
+
+// The group PDF prints every member, so it goes as soon as one of them is
+// purged. The group and trip rows go with the last member.
+const purgeSharedRecords = async (entry, mode) => {
+  let remaining = supabase
+    .from("entry_form")
+    .select("id")
+    .eq("tr_id", entry.tr_id);
+  if (mode === "anonymise") remaining = remaining.is("purged_at", null);
+
+  const { data: others, error } = await remaining;
+  if (error) throw error;
+
+  if (entry.group_id) {
+    const { data: group, error: groupError } = await supabase
+      .from("travel_groups")
+      .select("filepath")
+      .eq("id", entry.group_id)
+      .single();
+
+    if (groupError) throw groupError;
+    if (group.filepath) {
+      await pdfStorage.remove(storedFileName(group.filepath));
+    }
+
+    const { error: updateError } =
+      mode === "delete" && others.length === 0
+        ? await supabase.from("travel_groups").delete().eq("id", entry.group_id)
+        : await supabase
+            .from("travel_groups")
+            .update({ filepath: null })
+            .eq("id", entry.group_id);
+
+    if (updateError) throw updateError;
+  }
+
+  if (others.length > 0) return;
+
+  const { error: travelError } =
+    mode === "delete"
+      ? await supabase.from("travel_information").delete().eq("id", entry.tr_id)
+      : await supabase
+          .from("travel_information")
+          .update(ANONYMISED_TRIP)
+          .eq("id", entry.tr_id);
+
+  if (travelError) throw travelError;
+};
+
+// Claims the card first, so one put on legal hold in the meantime is left
+// alone. The audit record is written before anything is removed and notes
+// the error if the purge then fails part way.
+const purgeEntry = async (entry, { trigger, sourceIp }) => {
+  const { data: claimed, error: claimError } = await supabase
+    .from("entry_form")
+    .update({ purged_at: new Date().toISOString() })
+    .eq("id", entry.id)
+    .is("purged_at", null)
+    .is("legal_hold_at", null)
+    .select("id");
+
+  if (claimError) throw claimError;
+  if (claimed.length === 0) return false;
+
+  const auditId = await recordRetentionAudit(
+    entry,
+    RETENTION_MODE === "delete" ? "deleted" : "anonymised",
+    {
+      basis_date: retentionBasisDate(entry.travel_information),
+      retention_days: RETENTION_DAYS,
+      trigger,
+      source_ip: sourceIp,
+    }
+  );
+
+  try {
+    if (entry.filepath) {
+      await pdfStorage.remove(storedFileName(entry.filepath));
+    }
+
+    if (RETENTION_MODE === "delete") {
+      await deleteRow("entry_form", entry.id)();
+      await deleteRow("profiles", entry.profile_id)();
+    } else {
+      const { error: entryError } = await supabase
+        .from("entry_form")
+        .update({ filepath: null })
+        .eq("id", entry.id);
+      if (entryError) throw entryError;
+
+      const { error: profileError } = await supabase
+        .from("profiles")
+        .update(ANONYMISED_PROFILE)
+        .eq("id", entry.profile_id);
+      if (profileError) throw profileError;
+
+      // Revisions and queued emails hold copies of the personal data.
+      for (const table of ["entry_form_revisions", "email_outbox"]) {
+        const { error } = await supabase
+          .from(table)
+          .delete()
+          .eq("entry_form_id", entry.id);
+        if (error) throw error;
+      }
+    }
+
+    await purgeSharedRecords(entry, RETENTION_MODE);
+    return true;
+  } catch (error) {
+    await supabase
+      .from("retention_audit")
+      .update({ error: error.message })
+      .eq("id", auditId);
+    await supabase
+      .from("entry_form")
+      .update({ purged_at: null })
+      .eq("id", entry.id);
+    throw error;
+  }
+};
+
+const purgeExpiredRecords = async ({
+  dryRun = false,
+  trigger,
+  sourceIp = null,
+}) => {
+  const cutoff = addDays(todayInThailand(), -RETENTION_DAYS);
+  const entries = await findExpiredEntries(cutoff);
+  const report = {
+    dryRun,
+    mode: RETENTION_MODE,
+    retentionDays: RETENTION_DAYS,
+    cutoff,
+    eligible: [],
+    onLegalHold: [],
+    purged: 0,
+    failed: [],
+  };
+
+  for (const entry of entries) {
+    if (entry.legal_hold_at) {
+      report.onLegalHold.push(entry.arrival_card_no);
+      continue;
+    }
+    report.eligible.push({
+      arrivalCardNo: entry.arrival_card_no,
+      basisDate: retentionBasisDate(entry.travel_information),
+    });
+    if (dryRun) continue;
+
+    try {
+      if (await purgeEntry(entry, { trigger, sourceIp })) report.purged += 1;
+    } catch (error) {
+      logger.error("Retention purge failed", {
+        arrivalCardNo: entry.arrival_card_no,
+        error,
+      });
+      report.failed.push({
+        arrivalCardNo: entry.arrival_card_no,
+        message: scrubText(error.message),
+      });
+    }
+  }
+
+  logger.info("Retention purge finished", {
+    dryRun,
+    cutoff,
+    eligible: report.eligible.length,
+    onLegalHold: report.onLegalHold.length,
+    purged: report.purged,
+    failed: report.failed.length,
+  });
+  return report;
+};
+
+const retentionPurgeSchema = z.object({
+  dryRun: z.boolean().default(false),
+});
+
+app.post("/api/admin/retention-purge", requireAdmin, async (req, res) => {
+  try {
+    const validation = retentionPurgeSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res
+        .status(400)
+        .json({ success: false, errors: fieldErrors(validation) });
+    }
+
+    if (RETENTION_DAYS <= 0) {
+      return res.status(503).json({
+        success: false,
+        message: "No retention period is configured (RETENTION_DAYS).",
+      });
+    }
+
+    const report = await purgeExpiredRecords({
+      dryRun: validation.data.dryRun,
+      trigger: "admin",
+      sourceIp: req.ip,
+    });
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error("Retention purge error", { error });
+    sendServerError(res);
+  }
+});
+
+const legalHoldSchema = z.object({
+  reason: z.string().trim().min(1, "Please give a reason for the legal hold"),
+});
+
+app.put(
+  "/api/admin/cards/:arrivalCardNo/legal-hold",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const validation = legalHoldSchema.safeParse(req.body);
+      if (!validation.success) {
+        return res
+          .status(400)
+          .json({ success: false, errors: fieldErrors(validation) });
+      }
+
+      const entry = await fetchEntryByCardNo(req.params.arrivalCardNo);
+      if (!entry) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Arrival card not found" });
+      }
+      const legalHoldAt = entry.legal_hold_at ?? new Date().toISOString();
+      const { error } = await supabase
+        .from("entry_form")
+        .update({
+          legal_hold_at: legalHoldAt,
+          legal_hold_reason: validation.data.reason,
+        })
+        .eq("id", entry.id);
+
+      if (error) throw error;
+
+      await recordRetentionAudit(entry, "legal_hold", {
+        reason: validation.data.reason,
+        trigger: "admin",
+        source_ip: req.ip,
+      });
+
+      res.json({
+        success: true,
+        arrivalCardNo: entry.arrival_card_no,
+        legalHoldAt,
+        reason: validation.data.reason,
+      });
+    } catch (error) {
+      logger.error("Legal hold error", { error });
+      sendServerError(res);
+    }
+  }
+);
+
+app.delete(
+  "/api/admin/cards/:arrivalCardNo/legal-hold",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const entry = await fetchEntryByCardNo(req.params.arrivalCardNo);
+      if (!entry) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Arrival card not found" });
+      }
+      if (!entry.legal_hold_at) {
+        return res.status(409).json({
+          success: false,
+          message: "This arrival card is not on legal hold.",
+        });
+      }
+
+      const { error } = await supabase
+        .from("entry_form")
+        .update({ legal_hold_at: null, legal_hold_reason: null })
+        .eq("id", entry.id);
+
+      if (error) throw error;
+
+      await recordRetentionAudit(entry, "legal_hold_released", {
+        trigger: "admin",
+        source_ip: req.ip,
+      });
+
+      res.json({ success: true, arrivalCardNo: entry.arrival_card_no });
+    } catch (error) {
+      logger.error("Legal hold error", { error });
+      sendServerError(res);
+    }
+  }
+);
+
+const getCardStatus = (entry) => {
+  if (entry.cancelled_at) return "cancelled";
+  if (entry.used_at) return "used";
+
+  const today = todayInThailand();
+  const arrival = toDateOnly(entry.travel_information.date_of_arrival);
+  if (today < arrival) return "not_yet_valid";
+  if (today > addDays(arrival, CARD_GRACE_DAYS)) return "expired";
+  return "valid";
+};
+
+const cardStatusMessages = {
+  valid: "Arrival card is valid",
+  cancelled: "Arrival card has been cancelled",
+  used: "Arrival card has already been used",
+  expired: "Arrival card has expired",
+  not_yet_valid: "Arrival card is not valid before the date of arrival",
+};
+
+const fetchCardByQrCode = async (qrcodeData) => {
+  const { data, error } = await supabase
+    .from("entry_form")
+    .select(ENTRY_WITH_DETAILS)
+    .eq("qrcode_data", qrcodeData)
+    .is("purged_at", null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return decryptEntry(data);
+};
+
+// Accepts both the signed payload printed on current cards and the bare
+// qrcode_data uuid on cards issued before QR signing.
+const resolveQrCode = async (qrcodeData) => {
+  if (!String(qrcodeData).includes(".")) {
+    const entry = await fetchCardByQrCode(qrcodeData);
+    return entry
+      ? { entry, signature: null }
+      : { status: 404, message: "Arrival card not found" };
+  }
+
+  const payload = verifyCardQr(qrcodeData);
+  if (!payload) {
+    return { status: 422, message: "QR code signature is invalid" };
+  }
+
+  const entry = await fetchEntryByCardNo(payload.no);
+  if (!entry) return { status: 404, message: "Arrival card not found" };
+
+  // A genuine signature over outdated details means the PDF was printed
+  // before the card was last updated.
+  if (
+    payload.ph !==
+      hashPassport(entry.arrival_card_no, entry.profiles.passport_no) ||
+    payload.arr !== toDateOnly(entry.travel_information.date_of_arrival)
+  ) {
+    return {
+      status: 409,
+      message: "QR code does not match the current arrival card details",
+    };
+  }
+
+  return { entry, signature: { kid: payload.kid, expires: payload.exp } };
+};
+
+app.post("/api/checkpoint/verify", requireOfficer, async (req, res) => {
+  const { qrcode_data } = req.body;
+
+  try {
+    if (!qrcode_data) {
+      return res
+        .status(400)
+        .json({ success: false, message: "qrcode_data is required" });
+    }
+
+    const { entry, signature, ...failure } = await resolveQrCode(qrcode_data);
+    if (!entry) {
+      return res
+        .status(failure.status)
+        .json({ success: false, message: failure.message });
+    }
+
+    const status = getCardStatus(entry);
+
+    res.json({
+      success: true,
+      status,
+      message: cardStatusMessages[status],
+      arrivalCardNo: entry.arrival_card_no,
+      signature,
+      usedAt: entry.used_at,
+      checkpointId: entry.checkpoint_id,
+      healthScreening: entry.health_screening ?? false,
+      healthRequirements: (
+        entry.travel_information.health_requirements ?? []
+      ).map((id) => ({ id, text: healthRequirementText(id, "en") })),
+      profile: entry.profiles,
+      travel: entry.travel_information,
+    });
+  } catch (error) {
+    logger.error("Checkpoint verify error", { error });
+    sendServerError(res);
+  }
+});
+
+app.post("/api/checkpoint/consume", requireOfficer, async (req, res) => {
+  const { qrcode_data, checkpoint_id } = req.body;
+
+  try {
+    if (!qrcode_data || !checkpoint_id) {
+      return res.status(400).json({
+        success: false,
+        message: "qrcode_data and checkpoint_id are required",
+      });
+    }
+
+    const { entry, signature, ...failure } = await resolveQrCode(qrcode_data);
+    if (!entry) {
+      return res
+        .status(failure.status)
+        .json({ success: false, message: failure.message });
+    }
+
+    const status = getCardStatus(entry);
+    if (status === "used") {
+      return res.status(409).json({
+        success: false,
+        status,
+        message: cardStatusMessages[status],
+        usedAt: entry.used_at,
+        checkpointId: entry.checkpoint_id,
+      });
+    }
+    if (status !== "valid") {
+      return res
+        .status(422)
+        .json({ success: false, status, message: cardStatusMessages[status] });
+    }
+
+    // Only claim the card if nobody else has in the meantime, so two
+    // simultaneous scans cannot both succeed.
+    const { data: consumed, error: consumeError } = await supabase
+      .from("entry_form")
+      .update({ used_at: new Date().toISOString(), checkpoint_id })
+      .eq("id", entry.id)
+      .is("used_at", null)
+      .select();
+
+    if (consumeError) throw consumeError;
+
+    if (!consumed || consumed.length === 0) {
+      return res.status(409).json({
+        success: false,
+        status: "used",
+        message: cardStatusMessages.used,
+      });
+    }
+
+    logger.info("Arrival card consumed", {
+      arrivalCardNo: entry.arrival_card_no,
+      checkpointId: checkpoint_id,
+    });
+
+    res.json({
+      success: true,
+      status: "used",
+      message: "Entry recorded",
+      arrivalCardNo: entry.arrival_card_no,
+      usedAt: consumed[0].used_at,
+      checkpointId: consumed[0].checkpoint_id,
+    });
+  } catch (error) {
+    logger.error("Checkpoint consume error", { error });
+    sendServerError(res);
+  }
+});
+
+const toCsv = (columns, rows) => {
+  const escape = (value) => {
+    const text = value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+  };
+  return [
+    columns.map(escape).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escape(row[column])).join(",")
+    ),
+  ].join("\r\n");
+};
+
+const sendReport = (res, format, name, columns, rows, extra = {}) => {
+  if (format === "csv") {
+    return res
+      .type("text/csv")
+      .attachment(`${name}.csv`)
+      .send(toCsv(columns, rows));
+  }
+  res.json({ success: true, ...extra, rows });
+};
+
+const MAX_STATS_RANGE_DAYS = 366;
+
+const statsQuerySchema = z
+  .object({
+    from: z.iso.date().optional(),
+    to: z.iso.date().optional(),
+    groupBy: z.enum(["nationality", "purpose", "transport"]).optional(),
+    limit: z.coerce.number().int().min(1).max(250).default(10),
+    format: z.enum(["json", "csv"]).default("json"),
+  })
+  .transform((query) => {
+    const to = query.to ?? todayInThailand();
+    return { ...query, to, from: query.from ?? addDays(to, -29) };
+  })
+  .refine((query) => query.from <= query.to, {
+    message: "from must not be after to",
+    path: ["from"],
+  })
+  .refine((query) => query.to <= addDays(query.from, MAX_STATS_RANGE_DAYS), {
+    message: `The range can be at most ${MAX_STATS_RANGE_DAYS} days`,
+    path: ["to"],
+  });
+
+const PAGE_SIZE = 1000;
+
+// PostgREST caps how many rows one request returns, so reports read in
+// pages. buildQuery must apply a stable order.
+const fetchAllPages = async (buildQuery) => {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(
+      offset,
+      offset + PAGE_SIZE - 1
+    );
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+};
+
+// Counted by the arrival_stats function, so only the counts leave the
+// database. Without byDate the counts cover the whole range.
+const fetchArrivalCounts = async ({ from, to }, dimension, byDate) => {
+  const rows = await fetchAllPages(() =>
+    supabase
+      .rpc("arrival_stats", {
+        p_from: from,
+        p_to: to,
+        p_dimension: dimension ?? null,
+        p_by_date: byDate,
+      })
+      .order("arrival_date")
+      .order("value")
+  );
+
+  return rows
+    .map((row) => ({
+      date: row.arrival_date && toDateOnly(row.arrival_date),
+      key: row.value,
+      count: Number(row.arrivals),
+    }))
+    .sort(
+      (a, b) =>
+        (a.date ?? "").localeCompare(b.date ?? "") ||
+        b.count - a.count ||
+        (a.key ?? "").localeCompare(b.key ?? "")
+    );
+};
+
+const sumCounts = (counts) =>
+  counts.reduce((total, { count }) => total + count, 0);
+
+const statsRoute = (handler) => async (req, res) => {
+  try {
+    const validation = statsQuerySchema.safeParse(req.query);
+    if (!validation.success) {
+      return res
+        .status(400)
+        .json({ success: false, errors: fieldErrors(validation) });
+    }
+
+    await handler(req, res, validation.data);
+  } catch (error) {
+    logger.error("Stats error", { error });
+    sendServerError(res);
+  }
+};
+
+app.get(
+  "/api/admin/stats/arrivals",
+  requireAdmin,
+  statsRoute(async (req, res, query) => {
+    const { from, to, groupBy, format } = query;
+    const counts = await fetchArrivalCounts(query, groupBy, true);
+    let rows;
+
+    if (groupBy) {
+      rows = counts.map(({ date, key, count }) => ({
+        date,
+        [groupBy]: key,
+        count,
+      }));
+    } else {
+      // Every day in the range, so quiet days show up as zero.
+      const byDate = new Map(counts.map(({ date, count }) => [date, count]));
+      rows = [];
+      for (let date = from; date <= to; date = addDays(date, 1)) {
+        rows.push({ date, count: byDate.get(date) ?? 0 });
+      }
+    }
+
+    sendReport(
+      res,
+      format,
+      `arrivals-${from}-${to}`,
+      ["date", ...(groupBy ? [groupBy] : []), "count"],
+      rows,
+      { from, to, groupBy, total: sumCounts(counts) }
+    );
+  })
+);
+
+app.get(
+  "/api/admin/stats/boarding-countries",
+  requireAdmin,
+  statsRoute(async (req, res, query) => {
+    const { from, to, limit, format } = query;
+    const counts = await fetchArrivalCounts(query, "country_boarded", false);
+    const rows = counts
+      .slice(0, limit)
+      .map(({ key, count }) => ({ country_boarded: key, count }));
+
+    sendReport(
+      res,
+      format,
+      `boarding-countries-${from}-${to}`,
+      ["country_boarded", "count"],
+      rows,
+      { from, to, total: sumCounts(counts) }
+    );
+  })
+);
+
+app.get(
+  "/api/admin/stats/provinces",
+  requireAdmin,
+  statsRoute(async (req, res, query) => {
+    const { from, to, format } = query;
+    const counts = await fetchArrivalCounts(query, "province", false);
+    const rows = counts.map(({ key, count }) => ({ province: key, count }));
+
+    sendReport(
+      res,
+      format,
+      `provinces-${from}-${to}`,
+      ["province", "count"],
+      rows,
+      { from, to, total: sumCounts(counts) }
+    );
+  })
+);
+
+const manifestQuerySchema = z
+  .object({
+    direction: z.enum(["arrival", "departure"]).default("arrival"),
+    flight: z.string().trim().min(1).optional(),
+    date: z.iso.date().optional(),
+    format: z.enum(["json", "csv", "pdf"]).default("json"),
+  })
+  .refine((query) => query.flight || query.date, {
+    message: "Give a flight number, a date or both",
+    path: ["flight"],
+  });
+
+const normalizeFlightNo = (value) =>
+  String(value ?? "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+
+const manifestFields = {
+  arrival: {
+    flight: "flight_vehicle_no_arrival",
+    date: "date_of_arrival",
+  },
+  departure: {
+    flight: "flight_vehicle_no_departure",
+    date: "date_of_departure",
+  },
+};
+
+const MANIFEST_COLUMNS = [
+  "arrival_card_no",
+  "family_name",
+  "first_name",
+  "middle_name",
+  "passport_no",
+  "nationality",
+  "date_of_birth",
+  "gender",
+  "flight",
+  "date",
+  "status",
+  "used_at",
+  "checkpoint_id",
+  "health_screening",
+];
+
+// Cancelled cards are included so staff can see them, with their status.
+const fetchManifest = async ({ direction, flight, date }) => {
+  const fields = manifestFields[direction];
+  const flightNo = flight && normalizeFlightNo(flight);
+
+  const entries = await fetchAllPages(() => {
+    let query = supabase
+      .from("entry_form")
+      .select(ENTRY_WITH_DETAILS_INNER)
+      .is("purged_at", null)
+      .order("id");
+    if (date) query = query.eq(`travel_information.${fields.date}`, date);
+    // Flight numbers are stored as typed ("TG 917", "tg917"), so narrow
+    // the search in the database and compare normalised values below.
+    if (flightNo) {
+      query = query.ilike(
+        `travel_information.${fields.flight}`,
+        `%${[...flightNo].join("%")}%`
+      );
+    }
+    return query;
+  });
+
+  return entries
+    .map(decryptEntry)
+    .filter(
+      (entry) =>
+        !flightNo ||
+        normalizeFlightNo(entry.travel_information[fields.flight]) === flightNo
+    )
+    .map((entry) => ({
+      arrival_card_no: entry.arrival_card_no,
+      family_name: entry.profiles.family_name,
+      first_name: entry.profiles.first_name,
+      middle_name: entry.profiles.middle_name,
+      passport_no: entry.profiles.passport_no,
+      nationality: entry.profiles.selected_nationality,
+      date_of_birth: entry.profiles.date_of_birth,
+      gender: entry.profiles.gender,
+      flight: entry.travel_information[fields.flight],
+      date: toDateOnly(entry.travel_information[fields.date]),
+      status: getCardStatus(entry),
+      used_at: entry.used_at,
+      checkpoint_id: entry.checkpoint_id,
+      health_screening: entry.health_screening ?? false,
+    }))
+    .sort(
+      (a, b) =>
+        a.family_name.localeCompare(b.family_name, "en", { numeric: true }) ||
+        a.first_name.localeCompare(b.first_name, "en", { numeric: true })
+    );
+};
+
+const MANIFEST_PDF_COLUMNS = [
+  { label: "Card no.", width: 95, value: (row) => row.arrival_card_no },
+  {
+    label: "Name",
+    width: 170,
+    value: (row) =>
+      [row.family_name, row.first_name, row.middle_name]
+        .filter(Boolean)
+        .join(" ")
+        .toUpperCase(),
+  },
+  { label: "Passport no.", width: 80, value: (row) => row.passport_no },
+  { label: "Nationality", width: 95, value: (row) => row.nationality },
+  {
+    label: "Date of birth",
+    width: 70,
+    value: (row) => formatDate(row.date_of_birth),
+  },
+  { label: "Gender", width: 50, value: (row) => row.gender },
+  { label: "Flight", width: 60, value: (row) => row.flight },
+  { label: "Date", width: 65, value: (row) => formatDate(row.date) },
+  { label: "Status", width: 75, value: (row) => row.status },
+];
+
+const drawManifest = (doc, { direction, flight, date }, rows) => {
+  const rowHeight = 16;
+  const left = doc.page.margins.left;
+  const tableWidth = MANIFEST_PDF_COLUMNS.reduce(
+    (sum, column) => sum + column.width,
+    0
+  );
+
+  const drawRow = (values, y) => {
+    let x = left;
+    MANIFEST_PDF_COLUMNS.forEach((column, index) => {
+      doc.text(values[index] ?? "-", x + 2, y + 4, {
+        width: column.width - 4,
+        height: rowHeight - 4,
+        lineBreak: false,
+        ellipsis: true,
+      });
+      x += column.width;
+    });
+  };
+
+  const drawHeader = () => {
+    doc.fontSize(8);
+    const y = doc.y;
+    doc.rect(left, y, tableWidth, rowHeight).fillAndStroke("#eeeeee", "black");
+    doc.fillColor("black");
+    drawRow(
+      MANIFEST_PDF_COLUMNS.map((column) => column.label),
+      y
+    );
+    doc.y = y + rowHeight;
+  };
+
+  doc
+    .fontSize(14)
+    .text(`Passenger manifest (${direction})`, left, doc.page.margins.top);
+  doc
+    .fontSize(9)
+    .text(
+      [
+        flight && `Flight/vehicle: ${flight.toUpperCase()}`,
+        date && `Date: ${formatDate(date)}`,
+        `Passengers: ${rows.length}`,
+        `Generated: ${formatDate(new Date().toISOString(), true)}`,
+      ]
+        .filter(Boolean)
+        .join("    "),
+      left
+    );
+  doc.moveDown(1);
+  drawHeader();
+
+  for (const row of rows) {
+    if (doc.y + rowHeight > doc.page.maxY()) {
+      doc.addPage();
+      doc.y = doc.page.margins.top;
+      drawHeader();
+    }
+    const y = doc.y;
+    drawRow(
+      MANIFEST_PDF_COLUMNS.map((column) => column.value(row)),
+      y
+    );
+    doc
+      .moveTo(left, y + rowHeight)
+      .lineTo(left + tableWidth, y + rowHeight)
+      .lineWidth(0.5)
+      .stroke();
+    doc.y = y + rowHeight;
+  }
+
+  const range = doc.bufferedPageRange();
+  for (let page = range.start; page < range.start + range.count; page++) {
+    doc.switchToPage(page);
+    // Writing inside the bottom margin would otherwise start a new page.
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc
+      .fontSize(8)
+      .text(
+        `Page ${page + 1} of ${range.count}`,
+        left,
+        doc.page.height - bottom - 10,
+        { width: tableWidth, align: "right", lineBreak: false }
+      );
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+app.get("/api/manifest", requireOfficer, async (req, res) => {
+  try {
+    const validation = manifestQuerySchema.safeParse(req.query);
+    if (!validation.success) {
+      return res
+        .status(400)
+        .json({ success: false, errors: fieldErrors(validation) });
+    }
+
+    const query = validation.data;
+    const rows = await fetchManifest(query);
+    const name = [
+      "manifest",
+      query.direction,
+      query.flight && normalizeFlightNo(query.flight),
+      query.date,
+    ]
+      .filter(Boolean)
+      .join("-");
+
+    if (query.format === "pdf") {
+      const { chunks } = await renderPdf(
+        (doc) => drawManifest(doc, query, rows),
+        { size: "A4", layout: "landscape" }
+      );
+      return res
+        .type("application/pdf")
+        .set("Content-Disposition", `inline; filename="${name}.pdf"`)
+        .send(Buffer.concat(chunks));
+    }
+
+    sendReport(res, query.format, name, MANIFEST_COLUMNS, rows, {
+      direction: query.direction,
+      flight: query.flight,
+      date: query.date,
+      total: rows.length,
+    });
+  } catch (error) {
+    logger.error("Manifest error", { error });
+    sendServerError(res);
+  }
+});
+
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) rows.push([...row, field]);
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+const MANIFEST_CSV_HEADERS = {
+  passport_no: ["passport_no", "passport", "document_no", "document_number"],
+  family_name: ["family_name", "surname", "last_name"],
+  first_name: ["first_name", "given_names", "given_name"],
+  date_of_birth: ["date_of_birth", "dob", "birth_date"],
+  nationality: ["nationality"],
+  flight: ["flight", "flight_no", "flight_vehicle_no_arrival"],
+  date: ["date", "date_of_arrival", "arrival_date"],
+};
+
+const parseManifestCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error("The manifest is empty");
+
+  const names = header.map((name) => name.trim().toLowerCase());
+  const columns = Object.fromEntries(
+    Object.entries(MANIFEST_CSV_HEADERS).map(([field, aliases]) => [
+      field,
+      names.findIndex((name) => aliases.includes(name)),
+    ])
+  );
+  if (columns.passport_no < 0 || columns.family_name < 0) {
+    throw new Error("The CSV needs at least passport_no and family_name");
+  }
+
+  const passengers = rows.map((cells) =>
+    Object.fromEntries(
+      Object.entries(columns).map(([field, index]) => [
+        field,
+        index >= 0 ? cells[index]?.trim() || undefined : undefined,
+      ])
+    )
+  );
+
+  return {
+    flight: passengers.find((passenger) => passenger.flight)?.flight,
+    date: passengers.find((passenger) => passenger.date)?.date,
+    passengers,
+  };
+};
+
+// EDIFACT dates are YYMMDD, optionally followed by HHMM, or CCYYMMDD for
+// format 102. Birth dates in the future belong to the previous century.
+const parseEdifactDate = (value, format, { past = false } = {}) => {
+  if (!value) return undefined;
+  if (format === "102" || /^\d{8}$/.test(value)) {
+    return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+  }
+  const yy = Number(value.slice(0, 2));
+  const currentYy = Number(todayInThailand().slice(2, 4));
+  const century = past && yy > currentYy ? 1900 : 2000;
+  return `${century + yy}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+};
+
+// Reads the passenger (NAD+FL) groups of a UN/EDIFACT PAXLST message as
+// sent for APIS. Crew (NAD+FM) are skipped: they do not fill in cards.
+const parsePaxlst = (text) => {
+  let body = text.trim();
+  let [component, element, release, segment] = [":", "+", "?", "'"];
+  if (body.startsWith("UNA")) {
+    [component, element, , release, , segment] = body.slice(3, 9);
+    body = body.slice(9);
+  }
+
+  // Tokenised in one pass, so a released separator stays literal whichever
+  // level it belongs to: segments hold elements, elements hold components.
+  const segments = [];
+  let elements = [[""]];
+  for (let i = 0; i < body.length; i++) {
+    const components = elements[elements.length - 1];
+    const char = body[i];
+    const segmentStarted =
+      elements.length > 1 || components.length > 1 || components[0];
+    // Line breaks between segments are not part of the next tag.
+    if (!segmentStarted && (char === "\r" || char === "\n")) continue;
+
+    if (char === release) {
+      components[components.length - 1] += body[++i] ?? "";
+    } else if (char === component) {
+      components.push("");
+    } else if (char === element) {
+      elements.push([""]);
+    } else if (char === segment) {
+      segments.push(elements);
+      elements = [[""]];
+    } else {
+      components[components.length - 1] += char;
+    }
+  }
+  segments.push(elements);
+
+  let flight;
+  let date;
+  let current = null;
+  const passengers = [];
+
+  for (const [[tag], ...fields] of segments) {
+    if (!tag) continue;
+    const value = (index, sub = 0) => fields[index]?.[sub] || undefined;
+
+    if (tag === "TDT" && !flight) {
+      flight = value(1);
+    } else if (tag === "DTM" && !current && value(0) === "232") {
+      date = parseEdifactDate(value(0, 1), value(0, 2));
+    } else if (tag === "NAD") {
+      current =
+        value(0) === "FL"
+          ? {
+              family_name: value(3, 0),
+              first_name: [value(3, 1), value(3, 2)].filter(Boolean).join(" "),
+            }
+          : null;
+      if (current) passengers.push(current);
+    } else if (current && tag === "DTM" && value(0) === "329") {
+      current.date_of_birth = parseEdifactDate(value(0, 1), value(0, 2), {
+        past: true,
+      });
+    } else if (current && tag === "NAT") {
+      current.nationality = value(1);
+    } else if (current && tag === "DOC" && !current.passport_no) {
+      current.passport_no = value(1);
+    }
+  }
+
+  if (passengers.length === 0) {
+    throw new Error("No passengers (NAD+FL) found in the PAXLST message");
+  }
+  return { flight, date, passengers };
+};
+
+// ICAO 9303 transliterations that differ from simply dropping the accent.
+const MRZ_TRANSLITERATIONS = {
+  Ä: "AE",
+  Ö: "OE",
+  Ü: "UE",
+  ß: "SS",
+  Å: "AA",
+  Æ: "AE",
+  Ø: "OE",
+  Þ: "TH",
+};
+
+// Airline lists and passports carry names as printed in the machine
+// readable zone: upper case, no diacritics, no punctuation. Issuers differ
+// on whether MÜLLER becomes MULLER or MUELLER, so both forms are produced.
+const personNameForms = (value) => {
+  const name = String(value ?? "").toUpperCase();
+  const strip = (text) =>
+    text
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "")
+      .replace(/[^\p{L}]+/gu, "");
+  return new Set([
+    strip(name),
+    strip(name.replace(/[ÄÖÜßÅÆØÞ]/g, (char) => MRZ_TRANSLITERATIONS[char])),
+  ]);
+};
+
+const samePersonName = (a, b) => {
+  const formsOfB = personNameForms(b);
+  return [...personNameForms(a)].some((form) => formsOfB.has(form));
+};
+
+const normalizePassportNo = (value) =>
+  String(value ?? "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+
+const fetchCardsByPassport = async (passportNos) => {
+  const entries = [];
+  for (let i = 0; i < passportNos.length; i += 100) {
+    const { data, error } = await supabase
+      .from("entry_form")
+      .select(ENTRY_WITH_DETAILS_INNER)
+      .in(
+        "profiles.passport_no_bidx",
+        passportNos
+          .slice(i, i + 100)
+          .map((passportNo) => blindIndex("passport_no", passportNo))
+      )
+      .is("cancelled_at", null)
+      .is("purged_at", null);
+
+    if (error) throw error;
+    entries.push(...data.map(decryptEntry));
+  }
+  return entries;
+};
+
+const reconcileManifest = async ({ flight, date, passengers }) => {
+  const flightNo = normalizeFlightNo(flight);
+  const flightCards = (
+    await fetchAllPages(() =>
+      supabase
+        .from("entry_form")
+        .select(ENTRY_WITH_DETAILS_INNER)
+        .is("cancelled_at", null)
+        .is("purged_at", null)
+        .ilike(
+          "travel_information.flight_vehicle_no_arrival",
+          `%${[...flightNo].join("%")}%`
+        )
+        .eq("travel_information.date_of_arrival", date)
+        .order("id")
+    )
+  )
+    .map(decryptEntry)
+    .filter(
+      (entry) =>
+        normalizeFlightNo(
+          entry.travel_information.flight_vehicle_no_arrival
+        ) === flightNo
+    );
+
+  // Blind indexes are built from normalised passport numbers.
+  const passportCards = await fetchCardsByPassport([
+    ...new Set(
+      passengers.map((passenger) => normalizePassportNo(passenger.passport_no))
+    ),
+  ]);
+
+  const cardsByPassport = new Map();
+  for (const entry of [...flightCards, ...passportCards]) {
+    const key = normalizePassportNo(entry.profiles.passport_no);
+    const cards = cardsByPassport.get(key) ?? new Map();
+    cards.set(entry.id, entry);
+    cardsByPassport.set(key, cards);
+  }
+
+  const matchedIds = new Set();
+  const results = passengers.map((passenger) => {
+    const issues = [];
+    const candidates = [
+      ...(cardsByPassport
+        .get(normalizePassportNo(passenger.passport_no))
+        ?.values() ?? []),
+    ];
+    const sameTrip = (entry) =>
+      normalizeFlightNo(entry.travel_information.flight_vehicle_no_arrival) ===
+        flightNo &&
+      toDateOnly(entry.travel_information.date_of_arrival) === date;
+
+    let card = candidates.find(sameTrip) ?? candidates[0];
+
+    // A mistyped passport number on either side: fall back to name and
+    // date of birth among the cards on this flight.
+    if (!card) {
+      card = flightCards.find(
+        (entry) =>
+          !matchedIds.has(entry.id) &&
+          samePersonName(entry.profiles.family_name, passenger.family_name) &&
+          passenger.date_of_birth &&
+          entry.profiles.date_of_birth === passenger.date_of_birth
+      );
+      if (card) issues.push("passport_mismatch");
+    }
+
+    if (!card) {
+      return { ...passenger, status: "no_card", issues: ["no_card"] };
+    }
+    matchedIds.add(card.id);
+
+    if (!sameTrip(card)) issues.push("flight_mismatch");
+    if (
+      !samePersonName(card.profiles.family_name, passenger.family_name) ||
+      (passenger.first_name &&
+        !samePersonName(
+          `${card.profiles.first_name} ${card.profiles.middle_name ?? ""}`,
+          passenger.first_name
+        ))
+    ) {
+      issues.push("name_mismatch");
+    }
+    if (
+      passenger.date_of_birth &&
+      card.profiles.date_of_birth !== passenger.date_of_birth
+    ) {
+      issues.push("dob_mismatch");
+    }
+
+    return {
+      ...passenger,
+      status: issues.length > 0 ? "mismatch" : "matched",
+      issues,
+      card: {
+        arrivalCardNo: card.arrival_card_no,
+        status: getCardStatus(card),
+        family_name: card.profiles.family_name,
+        first_name: card.profiles.first_name,
+        middle_name: card.profiles.middle_name,
+        passport_no: card.profiles.passport_no,
+        date_of_birth: card.profiles.date_of_birth,
+        flight: card.travel_information.flight_vehicle_no_arrival,
+        date_of_arrival: toDateOnly(card.travel_information.date_of_arrival),
+      },
+    };
+  });
+
+  const countIssue = (issue) =>
+    results.filter((result) => result.issues.includes(issue)).length;
+  const cardsNotOnManifest = flightCards
+    .filter((entry) => !matchedIds.has(entry.id))
+    .map((entry) => ({
+      arrivalCardNo: entry.arrival_card_no,
+      family_name: entry.profiles.family_name,
+      first_name: entry.profiles.first_name,
+      passport_no: entry.profiles.passport_no,
+      status: getCardStatus(entry),
+    }));
+
+  return {
+    summary: {
+      passengers: results.length,
+      matched: results.filter((result) => result.status === "matched").length,
+      noCard: countIssue("no_card"),
+      flightMismatch: countIssue("flight_mismatch"),
+      nameMismatch: countIssue("name_mismatch"),
+      dobMismatch: countIssue("dob_mismatch"),
+      passportMismatch: countIssue("passport_mismatch"),
+      cardsNotOnManifest: cardsNotOnManifest.length,
+    },
+    passengers: results,
+    cardsNotOnManifest,
+  };
+};
+
+const manifestImportQuerySchema = z.object({
+  format: z.enum(["csv", "paxlst"]).optional(),
+  flight: z.string().trim().min(1).optional(),
+  date: z.iso.date().optional(),
+});
+
+app.post(
+  "/api/manifest/import",
+  requireOfficer,
+  express.text({
+    type: ["text/*", "application/edifact", "application/octet-stream"],
+    limit: "5mb",
+  }),
+  async (req, res) => {
+    try {
+      const validation = manifestImportQuerySchema.safeParse(req.query);
+      if (!validation.success) {
+        return res
+          .status(400)
+          .json({ success: false, errors: fieldErrors(validation) });
+      }
+      if (typeof req.body !== "string" || !req.body.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Send the manifest as the request body (CSV or PAXLST)",
+        });
+      }
+
+      const format =
+        validation.data.format ??
+        (/^\s*(UNA|UNB|UNH)/.test(req.body) ? "paxlst" : "csv");
+
+      let manifest;
+      try {
+        manifest =
+          format === "paxlst"
+            ? parsePaxlst(req.body)
+            : parseManifestCsv(req.body);
+      } catch (parseError) {
+        return res
+          .status(400)
+          .json({ success: false, message: parseError.message });
+      }
+
+      const flight = validation.data.flight ?? manifest.flight;
+      const date = validation.data.date ?? manifest.date;
+      if (!flight) {
+        return res.status(400).json({
+          success: false,
+          message: "The manifest has no flight number; pass ?flight=",
+        });
+      }
+      // Without a date the flight number matches every past trip on it.
+      if (!date) {
+        return res.status(400).json({
+          success: false,
+          message: "The manifest has no flight date; pass ?date=",
+        });
+      }
+
+      const report = await reconcileManifest({
+        flight,
+        date,
+        passengers: manifest.passengers,
+      });
+      logger.info("Reconciled manifest", {
+        format,
+        flight,
+        date,
+        ...report.summary,
+      });
+
+      res.json({ success: true, format, flight, date, ...report });
+    } catch (error) {
+      logger.error("Manifest import error", { error });
+      sendServerError(res);
+    }
+  }
+);
+
+// OpenAPI document. Request and response bodies are generated from the
+// same zod schemas the routes validate with, so the field names cannot
+// drift; checkApiDocs() catches routes that are added without an entry in
+// apiRoutes below.
+const apiSchemas = z.registry();
+const component = (id, schema) => {
+  apiSchemas.add(schema, { id });
+  return schema;
+};
+
+const success = (shape) => z.object({ success: z.literal(true), ...shape });
+
+const fieldErrorsSchema = z.record(z.string(), z.array(z.string()));
+
+component("PersonalInfo", personalInfoSchema);
+component("TripInfo", tripAccommodationSchema);
+component("Health", healthSchema);
+component("FieldErrors", fieldErrorsSchema);
+
+const cardStatusSchema = component(
+  "CardStatus",
+  z.enum(Object.keys(cardStatusMessages))
+);
+
+const messageErrorSchema = component(
+  "MessageError",
+  z.object({
+    success: z.literal(false),
+    message: z.string(),
+    status: cardStatusSchema.optional(),
+    captchaRequired: z.boolean().optional(),
+  })
+);
+
+// Keyed by section (personalInfo, tripInfo, health) and then field, or by
+// field alone for single-section requests; group submissions report
+// travellers as an array.
+const validationErrorSchema = component(
+  "ValidationError",
+  z.object({
+    success: z.literal(false),
+    errors: z.record(
+      z.string(),
+      z.union([
+        z.array(z.string()),
+        fieldErrorsSchema,
+        z.array(fieldErrorsSchema),
+      ])
+    ),
+  })
+);
+
+const languageSchema = z.string().optional();
+const mrzLinesSchema = z.union([z.string(), z.array(z.string()).length(2)]);
+
+const rowSchema = (shape) =>
+  z.looseObject({ id: z.number().int(), created_at: z.string(), ...shape });
+
+const profileRowSchema = component(
+  "ProfileRow",
+  rowSchema(personalInfoSchema.shape)
+);
+
+const travelRowSchema = component(
+  "TravelInformationRow",
+  rowSchema({
+    ...tripAccommodationSchema.shape,
+    countries_visited: z.array(z.string()),
+    health_declarations: z.record(z.string(), z.unknown()),
+    health_requirements: z.array(z.string()),
+  })
+);
+
+const entryRowSchema = component(
+  "EntryFormRow",
+  rowSchema({
+    profile_id: z.number().int(),
+    tr_id: z.number().int(),
+    group_id: z.uuid().nullable(),
+    arrival_card_no: z.string(),
+    qrcode_data: z.uuid(),
+    filepath: z.string().nullable(),
+    language: z.enum(PDF_LANGUAGES),
+    cancelled_at: z.string().nullable(),
+    used_at: z.string().nullable(),
+    checkpoint_id: z.string().nullable(),
+    health_screening: z.boolean(),
+    legal_hold_at: z.string().nullable(),
+    legal_hold_reason: z.string().nullable(),
+    purged_at: z.string().nullable(),
+  })
+);
+
+const webhookSubscriptionRowSchema = component(
+  "WebhookSubscription",
+  z.object({
+    id: z.number().int(),
+    url: z.string(),
+    events: z.array(z.enum(WEBHOOK_EVENTS)),
+    description: z.string().nullable(),
+    created_at: z.string(),
+  })
+);
+
+const webhookDeliveryRowSchema = component(
+  "WebhookDelivery",
+  z.object({
+    id: z.number().int(),
+    subscription_id: z.number().int(),
+    event: z.enum(WEBHOOK_EVENTS),
+    event_id: z.uuid(),
+    status: z.enum(["pending", "sending", "delivered", "dead", "cancelled"]),
+    attempts: z.number().int(),
+    last_error: z.string().nullable(),
+    last_status_code: z.number().int().nullable(),
+    next_attempt_at: z.string(),
+    delivered_at: z.string().nullable(),
+    created_at: z.string(),
+  })
+);
+
+const entryWithDetailsSchema = component(
+  "EntryWithDetails",
+  entryRowSchema.extend({
+    profiles: profileRowSchema,
+    travel_information: travelRowSchema,
+  })
+);
+
+const healthOutcomeShape = {
+  healthRequirements: z.array(z.string()),
+  healthScreening: z.boolean(),
+};
+
+const referenceListSchema = (item) => success({ data: z.array(item) });
+const thaiAddressItem = {
+  code: z.string(),
+  nameEn: z.string(),
+  nameTh: z.string(),
+};
+
+const reportSchema = (id, row, shape = {}) =>
+  component(
+    id,
+    success({
+      from: z.iso.date(),
+      to: z.iso.date(),
+      total: z.number().int(),
+      ...shape,
+      rows: z.array(z.object({ ...row, count: z.number().int() })),
+    })
+  );
+
+const manifestPassengerSchema = z.object(
+  Object.fromEntries(
+    Object.keys(MANIFEST_CSV_HEADERS).map((field) => [
+      field,
+      z.string().optional(),
+    ])
+  )
+);
+
+const FILE_BODY = (type) => ({
+  [type]: { schema: { type: "string", contentMediaType: type } },
+});
+const CSV_BODY = FILE_BODY("text/csv");
+const PDF_BODY = FILE_BODY("application/pdf");
+
+const createResultSchema = component(
+  "CreateResult",
+  success({
+    profile: z.array(profileRowSchema),
+    travel: z.array(travelRowSchema),
+    entry: z.array(entryRowSchema),
+    uniqueId: z.uuid(),
+    pdfUrl: z.string(),
+    arrivalCardNo: z.string(),
+    ...healthOutcomeShape,
+    emailQueued: z.boolean(),
+  })
+);
+
+const draftRequestSchema = component(
+  "DraftRequest",
+  z.object({
+    personalInfo: personalInfoSchema.optional(),
+    tripInfo: tripAccommodationSchema.optional(),
+    health: healthSchema.optional(),
+    lang: languageSchema,
+  })
+);
+
+const draftResponseSchema = component(
+  "Draft",
+  success({
+    personalInfo: personalInfoSchema.optional(),
+    tripInfo: tripAccommodationSchema.optional(),
+    health: healthSchema.optional(),
+    lang: z.enum(PDF_LANGUAGES).optional(),
+    missing: z.array(z.enum(Object.keys(draftSections))),
+    expiresAt: z.string(),
+  })
+);
+
+const apiRoutes = [
+  {
+    method: "get",
+    path: "/api/qr-keys",
+    tag: "Cards",
+    summary: "Public keys that verify the signed QR code on arrival cards",
+    responses: {
+      200: component(
+        "QrKeys",
+        success({
+          activeKid: z.string(),
+          keys: z.array(
+            z.looseObject({
+              kty: z.literal("OKP"),
+              crv: z.literal("Ed25519"),
+              x: z.string(),
+              kid: z.string(),
+              alg: z.literal("EdDSA"),
+              use: z.literal("sig"),
+            })
+          ),
+        })
+      ),
+    },
+  },
+  {
+    method: "get",
+    path: "/api/reference/countries",
+    tag: "Reference data",
+    summary: "Countries accepted in country fields",
+    responses: {
+      200: referenceListSchema(
+        z.object({ code: z.string(), alpha3: z.string(), name: z.string() })
+      ),
+    },
+  },
+  {
+    method: "get",
+    path: "/api/reference/nationalities",
+    tag: "Reference data",
+    summary: "Nationalities accepted in selected_nationality",
+    responses: {
+      200: referenceListSchema(
+        z.object({ code: z.string(), nationality: z.string() })
+      ),
+    },
+  },
+  {
+    method: "get",
+    path: "/api/reference/provinces",
+    tag: "Reference data",
+    summary: "Thai provinces",
+    responses: { 200: referenceListSchema(z.object(thaiAddressItem)) },
+    errors: [500],
+  },
+  {
+    method: "get",
+    path: "/api/reference/provinces/:province/districts",
+    tag: "Reference data",
+    summary: "Districts of a province, by code or name",
+    responses: { 200: referenceListSchema(z.object(thaiAddressItem)) },
+    errors: [404, 500],
+  },
+  {
+    method: "get",
+    path: "/api/reference/provinces/:province/districts/:district/sub-districts",
+    tag: "Reference data",
+    summary: "Sub-districts of a district, with their post codes",
+    responses: {
+      200: referenceListSchema(
+        z.object({ ...thaiAddressItem, postalCode: z.string() })
+      ),
+    },
+    errors: [404, 500],
+  },
+  {
+    method: "post",
+    path: "/api/mrz",
+    tag: "Arrival cards",
+    summary: "Read personal details from a passport's machine readable zone",
+    body: component(
+      "MrzRequest",
+      z.union([
+        z.object({ line1: z.string(), line2: z.string() }),
+        z.object({ mrz: mrzLinesSchema }),
+      ])
+    ),
+    responses: {
+      200: component(
+        "MrzResult",
+        success({
+          personalInfo: personalInfoSchema
+            .pick({
+              family_name: true,
+              first_name: true,
+              middle_name: true,
+              passport_no: true,
+              selected_nationality: true,
+              gender: true,
+              date_of_birth: true,
+            })
+            .partial(),
+          document: z.object({
+            type: z.string(),
+            issuingState: z.string(),
+            nationalityCode: z.string(),
+            expiryDate: z.iso.date(),
+            expired: z.boolean(),
+          }),
+        })
+      ),
+    },
+    errors: [400],
+  },
+  {
+    method: "post",
+    path: "/api/create",
+    tag: "Arrival cards",
+    summary: "Submit an arrival card",
+    body: component(
+      "CreateRequest",
+      z.object({
+        personalInfo: personalInfoSchema,
+        tripInfo: tripAccommodationSchema,
+        health: healthSchema,
+        lang: languageSchema,
+        mrz: mrzLinesSchema.optional(),
+      })
+    ),
+    responses: { 200: createResultSchema },
+    errors: [400, 500],
+  },
+  {
+    method: "post",
+    path: "/api/drafts",
+    tag: "Drafts",
+    summary: "Start a draft with any sections filled in so far",
+    body: draftRequestSchema,
+    responses: {
+      201: component(
+        "NewDraft",
+        draftResponseSchema.extend({ resumeToken: z.string() })
+      ),
+    },
+    errors: [400, 500],
+  },
+  {
+    method: "get",
+    path: "/api/drafts/:resumeToken",
+    tag: "Drafts",
+    summary: "Resume a draft",
+    responses: { 200: draftResponseSchema },
+    errors: [404, 500],
+  },
+  {
+    method: "put",
+    path: "/api/drafts/:resumeToken",
+    tag: "Drafts",
+    summary: "Save sections of a draft; sections left out are kept",
+    body: draftRequestSchema,
+    responses: { 200: draftResponseSchema },
+    errors: [400, 404, 500],
+  },
+  {
+    method: "delete",
+    path: "/api/drafts/:resumeToken",
+    tag: "Drafts",
+    summary: "Discard a draft",
+    responses: { 200: success({ message: z.string() }) },
+    errors: [404, 500],
+  },
+  {
+    method: "post",
+    path: "/api/drafts/:resumeToken/finalize",
+    tag: "Drafts",
+    summary: "Submit a complete draft as an arrival card",
+    description:
+      "Runs the same validation and issuing as POST /api/create and deletes the draft on success.",
+    body: z.object({ lang: languageSchema, mrz: mrzLinesSchema.optional() }),
+    responses: { 200: createResultSchema },
+    errors: [400, 404, 409, 500],
+  },
+  {
+    method: "post",
+    path: "/api/create-group",
+    tag: "Arrival cards",
+    summary: "Submit arrival cards for a group travelling together",
+    body: component(
+      "CreateGroupRequest",
+      z.object({
+        travellers: z.array(personalInfoSchema).min(1).max(MAX_GROUP_SIZE),
+        tripInfo: tripAccommodationSchema,
+        health: healthSchema,
+        lang: languageSchema,
+      })
+    ),
+    responses: {
+      200: component(
+        "CreateGroupResult",
+        success({
+          groupRef: z.uuid(),
+          travel: z.array(travelRowSchema),
+          pdfUrl: z.string(),
+          ...healthOutcomeShape,
+          members: z.array(
+            z.object({
+              profile: z.array(profileRowSchema),
+              entry: z.array(entryRowSchema),
+              uniqueId: z.uuid(),
+              pdfUrl: z.string(),
+              arrivalCardNo: z.string(),
+              emailQueued: z.boolean(),
+            })
+          ),
+        })
+      ),
+    },
+    errors: [400, 500],
+  },
+  {
+    method: "put",
+    path: "/api/update-search",
+    tag: "Arrival cards",
+    summary: "Find a card to update and open an edit session",
+    description:
+      "Sets the edit_token cookie and also returns the token for clients that send it as a bearer token.",
+    body: component("CardLookup", cardLookupSchema),
+    responses: {
+      200: component(
+        "UpdateSearchResult",
+        success({
+          data: entryWithDetailsSchema,
+          editToken: z.string(),
+          editTokenExpiresAt: z.iso.datetime(),
+        })
+      ),
+    },
+    errors: [400, 403, 404, 410, 429, 500],
+  },
+  {
+    method: "put",
+    path: "/api/update-form",
+    tag: "Arrival cards",
+    summary: "Update the card of the current edit session",
+    auth: "editSession",
+    body: component(
+      "UpdateFormRequest",
+      z.object({
+        personalInfo: updatePersonalInfoSchema,
+        tripInfo: updateTripInfoSchema,
+        health: updateHealthSchema.optional(),
+        lang: languageSchema,
+      })
+    ),
+    responses: {
+      200: component(
+        "UpdateFormResult",
+        success({
+          message: z.string(),
+          pdfUrl: z.string(),
+          groupPdfUrl: z.string().optional(),
+          ...healthOutcomeShape,
+          emailQueued: z.boolean(),
+        })
+      ),
+    },
+    errors: [400, 401, 410, 500],
+  },
+  {
+    method: "put",
+    path: "/api/cancel",
+    tag: "Arrival cards",
+    summary: "Cancel an arrival card",
+    body: component("CancelRequest", cancelSchema),
+    responses: {
+      200: success({
+        message: z.string(),
+        cancelledAt: z.string(),
+        pdfUrl: z.string(),
+        groupPdfUrl: z.string().optional(),
+      }),
+    },
+    errors: [400, 403, 404, 409, 410, 429, 500],
+  },
+  {
+    method: "post",
+    path: "/api/resend-card",
+    tag: "Arrival cards",
+    summary: "Email the arrival card PDF again",
+    body: cardLookupSchema,
+    responses: { 200: success({ message: z.string() }) },
+    errors: [400, 403, 404, 410, 422, 429, 500, 503],
+  },
+  {
+    method: "get",
+    path: "/api/cards/:arrivalCardNo/revisions",
+    tag: "Officers",
+    summary: "Change history of an arrival card",
+    auth: "officer",
+    responses: {
+      200: success({
+        arrivalCardNo: z.string(),
+        revisions: z.array(
+          z.object({
+            revision_no: z.number().int(),
+            changes: z.array(
+              z.object({
+                field: z.string(),
+                from: z.unknown(),
+                to: z.unknown(),
+              })
+            ),
+            source_ip: z.string().nullable(),
+            created_at: z.string(),
+          })
+        ),
+      }),
+    },
+    errors: [401, 404, 500],
+  },
+  {
+    method: "get",
+    path: "/api/cards/:arrivalCardNo/revisions/:revisionNo/pdf",
+    tag: "Officers",
+    summary: "The arrival card as it was printed at a revision",
+    auth: "officer",
+    query: z.object({ lang: languageSchema }),
+    responses: { 200: PDF_BODY },
+    errors: [400, 401, 404, 500],
+  },
+  {
+    method: "post",
+    path: "/api/checkpoint/verify",
+    tag: "Officers",
+    summary: "Check a scanned QR code without recording the entry",
+    auth: "officer",
+    body: z.object({ qrcode_data: z.string() }),
+    responses: {
+      200: component(
+        "CheckpointVerifyResult",
+        success({
+          status: cardStatusSchema,
+          message: z.string(),
+          arrivalCardNo: z.string(),
+          signature: z
+            .object({ kid: z.string(), expires: z.iso.date() })
+            .nullable(),
+          usedAt: z.string().nullable(),
+          checkpointId: z.string().nullable(),
+          healthScreening: z.boolean(),
+          healthRequirements: z.array(
+            z.object({ id: z.string(), text: z.string() })
+          ),
+          profile: profileRowSchema,
+          travel: travelRowSchema,
+        })
+      ),
+    },
+    errors: [400, 401, 404, 409, 422, 500],
+  },
+  {
+    method: "post",
+    path: "/api/checkpoint/consume",
+    tag: "Officers",
+    summary: "Record that a card was used to enter the country",
+    auth: "officer",
+    body: z.object({ qrcode_data: z.string(), checkpoint_id: z.string() }),
+    responses: {
+      200: success({
+        status: z.literal("used"),
+        message: z.string(),
+        arrivalCardNo: z.string(),
+        usedAt: z.string(),
+        checkpointId: z.string(),
+      }),
+    },
+    errors: [400, 401, 404, 409, 422, 500],
+  },
+  {
+    method: "get",
+    path: "/api/manifest",
+    tag: "Officers",
+    summary: "Passengers holding cards for a flight or date",
+    auth: "officer",
+    query: manifestQuerySchema,
+    responses: {
+      200: {
+        "application/json": component(
+          "Manifest",
+          success({
+            direction: z.enum(Object.keys(manifestFields)),
+            flight: z.string().optional(),
+            date: z.iso.date().optional(),
+            total: z.number().int(),
+            rows: z.array(
+              z.object({
+                ...Object.fromEntries(
+                  MANIFEST_COLUMNS.map((column) => [
+                    column,
+                    z.string().nullable(),
+                  ])
+                ),
+                status: cardStatusSchema,
+                health_screening: z.boolean(),
+              })
+            ),
+          })
+        ),
+        ...CSV_BODY,
+        ...PDF_BODY,
+      },
+    },
+    errors: [400, 401, 500],
+  },
+  {
+    method: "post",
+    path: "/api/manifest/import",
+    tag: "Officers",
+    summary: "Reconcile an airline manifest (CSV or PAXLST) against cards",
+    auth: "officer",
+    query: manifestImportQuerySchema,
+    rawBody: { ...CSV_BODY, ...FILE_BODY("application/edifact") },
+    responses: {
+      200: component(
+        "ManifestReconciliation",
+        success({
+          format: z.enum(["csv", "paxlst"]),
+          flight: z.string(),
+          date: z.iso.date(),
+          summary: z.record(z.string(), z.number().int()),
+          passengers: z.array(
+            manifestPassengerSchema.extend({
+              status: z.enum(["matched", "mismatch", "no_card"]),
+              issues: z.array(
+                z.enum([
+                  "no_card",
+                  "flight_mismatch",
+                  "name_mismatch",
+                  "dob_mismatch",
+                  "passport_mismatch",
+                ])
+              ),
+              card: z.looseObject({ arrivalCardNo: z.string() }).optional(),
+            })
+          ),
+          cardsNotOnManifest: z.array(
+            z.looseObject({
+              arrivalCardNo: z.string(),
+              status: cardStatusSchema,
+            })
+          ),
+        })
+      ),
+    },
+    errors: [400, 401, 500],
+  },
+  {
+    method: "get",
+    path: "/api/admin/stats/arrivals",
+    tag: "Admin",
+    summary: "Arrivals per day, optionally split by a dimension",
+    auth: "admin",
+    query: statsQuerySchema,
+    responses: {
+      200: {
+        "application/json": reportSchema(
+          "ArrivalStats",
+          { date: z.iso.date() },
+          { groupBy: z.string().optional() }
+        ),
+        ...CSV_BODY,
+      },
+    },
+    errors: [400, 401, 500],
+  },
+  {
+    method: "get",
+    path: "/api/admin/stats/boarding-countries",
+    tag: "Admin",
+    summary: "Most common countries of embarkation",
+    auth: "admin",
+    query: statsQuerySchema,
+    responses: {
+      200: {
+        "application/json": reportSchema("BoardingCountryStats", {
+          country_boarded: z.string(),
+        }),
+        ...CSV_BODY,
+      },
+    },
+    errors: [400, 401, 500],
+  },
+  {
+    method: "get",
+    path: "/api/admin/stats/provinces",
+    tag: "Admin",
+    summary: "Arrivals by province of accommodation",
+    auth: "admin",
+    query: statsQuerySchema,
+    responses: {
+      200: {
+        "application/json": reportSchema("ProvinceStats", {
+          province: z.string(),
+        }),
+        ...CSV_BODY,
+      },
+    },
+    errors: [400, 401, 500],
+  },
+  {
+    method: "post",
+    path: "/api/admin/sweep-orphans",
+    tag: "Admin",
+    summary: "Delete rows left behind by failed submissions",
+    auth: "admin",
+    responses: {
+      200: success({
+        deleted: z.object({
+          travelGroups: z.number().int(),
+          profiles: z.number().int(),
+          travelInformation: z.number().int(),
+          drafts: z.number().int(),
+        }),
+      }),
+    },
+    errors: [401, 500],
+  },
+  {
+    method: "post",
+    path: "/api/admin/retention-purge",
+    tag: "Admin",
+    summary: "Purge cards past the retention period",
+    description:
+      "Deletes or anonymises, depending on RETENTION_MODE, every card whose date of departure (or arrival, when there is none) is more than RETENTION_DAYS ago. Cards on legal hold are skipped. With dryRun nothing is changed.",
+    auth: "admin",
+    body: retentionPurgeSchema,
+    responses: {
+      200: success({
+        report: z.object({
+          dryRun: z.boolean(),
+          mode: z.enum(RETENTION_MODES),
+          retentionDays: z.number().int(),
+          cutoff: z.iso.date(),
+          eligible: z.array(
+            z.object({ arrivalCardNo: z.string(), basisDate: z.iso.date() })
+          ),
+          onLegalHold: z.array(z.string()),
+          purged: z.number().int(),
+          failed: z.array(
+            z.object({ arrivalCardNo: z.string(), message: z.string() })
+          ),
+        }),
+      }),
+    },
+    errors: [400, 401, 500, 503],
+  },
+  {
+    method: "put",
+    path: "/api/admin/cards/:arrivalCardNo/legal-hold",
+    tag: "Admin",
+    summary: "Exempt an arrival card from retention purges",
+    auth: "admin",
+    body: legalHoldSchema,
+    responses: {
+      200: success({
+        arrivalCardNo: z.string(),
+        legalHoldAt: z.string(),
+        reason: z.string(),
+      }),
+    },
+    errors: [400, 401, 404, 500],
+  },
+  {
+    method: "delete",
+    path: "/api/admin/cards/:arrivalCardNo/legal-hold",
+    tag: "Admin",
+    summary: "Release an arrival card from legal hold",
+    auth: "admin",
+    responses: { 200: success({ arrivalCardNo: z.string() }) },
+    errors: [401, 404, 409, 500],
+  },
+  {
+    method: "post",
+    path: "/api/admin/webhooks",
+    tag: "Webhooks",
+    summary: "Subscribe a URL to card events",
+    description:
+      "Each delivery is a JSON POST with X-Webhook-Id, X-Webhook-Event and X-Webhook-Signature headers. The signature is t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>, keyed with the secret returned here, which is not shown again.",
+    auth: "admin",
+    body: webhookSubscriptionSchema,
+    responses: {
+      201: success({
+        subscription: webhookSubscriptionRowSchema,
+        secret: z.string(),
+      }),
+    },
+    errors: [400, 401, 500],
+  },
+  {
+    method: "get",
+    path: "/api/admin/webhooks",
+    tag: "Webhooks",
+    summary: "Active webhook subscriptions",
+    auth: "admin",
+    responses: {
+      200: success({ subscriptions: z.array(webhookSubscriptionRowSchema) }),
+    },
+    errors: [401, 500],
+  },
+  {
+    method: "delete",
+    path: "/api/admin/webhooks/:webhookId",
+    tag: "Webhooks",
+    summary: "Unsubscribe and drop its queued deliveries",
+    auth: "admin",
+    responses: { 200: success({}) },
+    errors: [401, 404, 500],
+  },
+  {
+    method: "get",
+    path: "/api/admin/webhooks/dead-letters",
+    tag: "Webhooks",
+    summary: "Deliveries that ran out of retries",
+    auth: "admin",
+    responses: {
+      200: success({ deliveries: z.array(webhookDeliveryRowSchema) }),
+    },
+    errors: [401, 500],
+  },
+  {
+    method: "post",
+    path: "/api/admin/webhooks/deliveries/:deliveryId/replay",
+    tag: "Webhooks",
+    summary: "Send a dead or delivered webhook again",
+    auth: "admin",
+    responses: { 200: success({ delivery: webhookDeliveryRowSchema }) },
+    errors: [401, 404, 500],
+  },
+  ...(PDF_STORAGE === "local"
+    ? [
+        {
+          method: "get",
+          path: `/files/${PDF_BUCKET}/:fileName`,
+          tag: "Cards",
+          summary: "A stored arrival card PDF",
+          responses: { 200: PDF_BODY },
+          errors: [404],
+        },
+      ]
+    : []),
+  {
+    method: "get",
+    path: "/api/openapi.json",
+    tag: "Documentation",
+    summary: "This document",
+    responses: { 200: { "application/json": { schema: { type: "object" } } } },
+  },
+  {
+    method: "get",
+    path: "/api/docs",
+    tag: "Documentation",
+    summary: "Interactive API documentation",
+    responses: { 200: FILE_BODY("text/html") },
+  },
+];
+
+const apiSecurity = {
+  officer: [{ officerKey: [] }],
+  admin: [{ adminKey: [] }],
+  editSession: [{ editToken: [] }, { editCookie: [] }],
+};
+
+const jsonSchemaOptions = {
+  target: "draft-2020-12",
+  io: "input",
+  uri: (id) => `#/components/schemas/${id}`,
+};
+
+const toApiSchema = (schema) => {
+  if (!(schema instanceof z.ZodType)) return schema;
+  if (apiSchemas.has(schema)) {
+    return { $ref: jsonSchemaOptions.uri(apiSchemas.get(schema).id) };
+  }
+  const { $schema, ...jsonSchema } = z.toJSONSchema(schema, jsonSchemaOptions);
+  return jsonSchema;
+};
+
+// Responses are given as a zod schema (JSON) or as a map of media types
+// to zod schemas or ready-made OpenAPI media type objects.
+const toApiContent = (response) =>
+  response instanceof z.ZodType
+    ? { "application/json": { schema: toApiSchema(response) } }
+    : Object.fromEntries(
+        Object.entries(response).map(([type, value]) => [
+          type,
+          value instanceof z.ZodType ? { schema: toApiSchema(value) } : value,
+        ])
+      );
+
+const toApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+// "post /api/checkpoint/verify" becomes "postApiCheckpointVerify".
+const toOperationId = (route) =>
+  [route.method, ...route.path.split(/[^A-Za-z0-9]+/)]
+    .filter(Boolean)
+    .map((word, index) =>
+      index === 0 ? word : word[0].toUpperCase() + word.slice(1)
+    )
+    .join("");
+
+const toApiParameters = (route) => {
+  const pathParameters = [...route.path.matchAll(/:(\w+)/g)].map(
+    ([, name]) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: { type: "string" },
+    })
+  );
+  if (!route.query) return pathParameters;
+
+  const query = toApiSchema(route.query);
+  return [
+    ...pathParameters,
+    ...Object.entries(query.properties).map(([name, schema]) => ({
+      name,
+      in: "query",
+      required: query.required?.includes(name) ?? false,
+      schema,
+    })),
+  ];
+};
+
+const toApiOperation = (route) => {
+  const errorResponses = Object.fromEntries(
+    (route.errors ?? []).map((status) => [
+      status,
+      {
+        description: http.STATUS_CODES[status],
+        content: {
+          "application/json": {
+            schema:
+              status === 400
+                ? {
+                    oneOf: [
+                      toApiSchema(validationErrorSchema),
+                      toApiSchema(messageErrorSchema),
+                    ],
+                  }
+                : toApiSchema(messageErrorSchema),
+          },
+        },
+      },
+    ])
+  );
+
+  return {
+    operationId: toOperationId(route),
+    tags: [route.tag],
+    summary: route.summary,
+    ...(route.description && { description: route.description }),
+    security: route.auth ? apiSecurity[route.auth] : [],
+    parameters: toApiParameters(route),
+    ...((route.body || route.rawBody) && {
+      requestBody: {
+        required: true,
+        content: route.rawBody ?? toApiContent(route.body),
+      },
+    }),
+    responses: {
+      ...Object.fromEntries(
+        Object.entries(route.responses).map(([status, response]) => [
+          status,
+          { description: "OK", content: toApiContent(response) },
+        ])
+      ),
+      ...errorResponses,
+    },
+  };
+};
+
+const buildApiDocument = () => {
+  const { schemas } = z.toJSONSchema(apiSchemas, jsonSchemaOptions);
+  const paths = {};
+  for (const route of apiRoutes) {
+    (paths[toApiPath(route.path)] ??= {})[route.method] = toApiOperation(route);
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Thailand Digital Arrival Card API",
+      version: process.env.npm_package_version ?? "0.0.1",
+    },
+    servers: [
+      { url: process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}` },
+    ],
+    paths,
+    components: {
+      schemas: Object.fromEntries(
+        Object.entries(schemas).map(([id, { $schema, $id, ...schema }]) => [
+          id,
+          schema,
+        ])
+      ),
+      securitySchemes: {
+        officerKey: {
+          type: "http",
+          scheme: "bearer",
+          description: "OFFICER_API_KEY",
+        },
+        adminKey: {
+          type: "http",
+          scheme: "bearer",
+          description: "ADMIN_API_KEY",
+        },
+        editToken: {
+          type: "http",
+          scheme: "bearer",
+          description: "editToken returned by PUT /api/update-search",
+        },
+        editCookie: { type: "apiKey", in: "cookie", name: EDIT_TOKEN_COOKIE },
+      },
+    },
+  };
+};
+
+let apiDocument;
+
+app.get("/api/openapi.json", (req, res) => {
+  apiDocument ??= buildApiDocument();
+  res.json(apiDocument);
+});
+
+app.use(
+  "/api/docs/assets",
+  express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false })
+);
+
+app.get("/api/docs", (req, res) => {
+  res.type("html").send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Thailand Digital Arrival Card API</title>
+    <link rel="stylesheet" href="/api/docs/assets/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="/api/docs/assets/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({ url: "/api/openapi.json", dom_id: "#swagger-ui" });
+    </script>
+  </body>
+</html>`);
+});
+
+// Compares the routes registered on the app with apiRoutes, both ways.
+const checkApiDocs = () => {
+  const key = (method, path) => `${method.toUpperCase()} ${path}`;
+  const registered = new Set(
+    app.router.stack
+      .filter((layer) => layer.route)
+      .flatMap((layer) =>
+        Object.keys(layer.route.methods).map((method) =>
+          key(method, layer.route.path)
+        )
+      )
+  );
+  const documented = new Set(
+    apiRoutes.map((route) => key(route.method, route.path))
+  );
+
+  return {
+    undocumented: [...registered].filter((route) => !documented.has(route)),
+    stale: [...documented].filter((route) => !registered.has(route)),
+  };
+};
+
+const ENCRYPTION_BATCH_SIZE = 200;
+
+// Only rows still holding the values that were read are rewritten, so a
+// card updated while this runs keeps the update.
+const matchesStored = (query, row, columns) =>
+  columns.reduce(
+    (matched, column) =>
+      row[column] == null
+        ? matched.is(column, null)
+        : matched.eq(column, row[column]),
+    query
+  );
+
+const reencryptRow = {
+  profiles: (row) => {
+    const profile = decryptProfile(row);
+    return encryptProfile(
+      Object.fromEntries(
+        ENCRYPTED_PROFILE_FIELDS.map((field) => [field, profile[field] ?? null])
+      )
+    );
+  },
+  entry_form_revisions: (row) => {
+    const { changes, snapshot } = decryptRevision(row);
+    return {
+      ...mapRevisionFields({ changes, snapshot }, encryptField),
+      encryption_key_version: fieldEncryptionKeys[0].version,
+    };
+  },
+  submission_drafts: (row) => ({
+    personal_info: mapEncryptedFields(
+      decryptDraft(row).personal_info,
+      encryptField
+    ),
+    encryption_key_version: fieldEncryptionKeys[0].version,
+  }),
+};
+
+// Encrypts rows written before field encryption and moves rows under an
+// older key to the current one. With `all`, every row is rewritten, which
+// also recomputes the blind indexes after BLIND_INDEX_KEY has changed.
+const encryptStoredProfiles = async ({ all = false } = {}) => {
+  const { version } = fieldEncryptionKeys[0];
+  const updated = {};
+
+  // The last entry finds rows written under the current key while email
+  // was not yet encrypted.
+  for (const [table, columns, plaintextEmail] of [
+    [
+      "profiles",
+      ["encryption_key_version", ...ENCRYPTED_PROFILE_FIELDS],
+      "email",
+    ],
+    // Revisions are never edited, only the key version can have moved on.
+    [
+      "entry_form_revisions",
+      ["encryption_key_version"],
+      "snapshot->personalInfo->>email",
+    ],
+    // Every draft save bumps updated_at.
+    [
+      "submission_drafts",
+      ["encryption_key_version", "updated_at"],
+      "personal_info->>email",
+    ],
+  ]) {
+    updated[table] = 0;
+
+    for (let lastId = 0; ; ) {
+      let query = supabase
+        .from(table)
+        .select("*")
+        .gt("id", lastId)
+        .order("id")
+        .limit(ENCRYPTION_BATCH_SIZE);
+      if (!all) {
+        query = query.or(
+          `encryption_key_version.is.null,encryption_key_version.neq.${version},${plaintextEmail}.not.like.*:*`
+        );
+      }
+
+      const { data: rows, error } = await query;
+      if (error) throw error;
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const { data, error: updateError } = await matchesStored(
+          supabase
+            .from(table)
+            .update(reencryptRow[table](row))
+            .eq("id", row.id),
+          row,
+          columns
+        ).select("id");
+
+        if (updateError) throw updateError;
+        updated[table] += data.length;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  logger.info("Field encryption finished", { version, ...updated });
+  return updated;
+};
+
+// Replaces Express's default handler, which prints the raw error and stack
+// to stderr outside the structured log.
+app.use((error, req, res, next) => {
+  const status = error.status ?? error.statusCode ?? 500;
+  if (status >= 500) logger.error("Unhandled error", { error });
+  if (res.headersSent) return next(error);
+  res.status(status).json({
+    success: false,
+    message: status >= 500 ? "Internal server error" : error.message,
+  });
+});
+
+const RETENTION_PURGE_INTERVAL_MINUTES = Number(
+  process.env.RETENTION_PURGE_INTERVAL_MINUTES ?? 0
+);
+
+const WEBHOOK_QUEUE_INTERVAL_SECONDS = Number(
+  process.env.WEBHOOK_QUEUE_INTERVAL_SECONDS ?? 15
+);
+
+const ORPHAN_SWEEP_INTERVAL_MINUTES = Number(
+  process.env.ORPHAN_SWEEP_INTERVAL_MINUTES ?? 0
+);
+
+const EMAIL_QUEUE_INTERVAL_SECONDS = Number(
+  process.env.EMAIL_QUEUE_INTERVAL_SECONDS ?? 30
 );
+
+if (isEntryPoint) {
+  if (command === "sweep-orphans") {
+    sweepOrphans().then(
+      () => process.exit(0),
+      (error) => {
+        logger.error("Orphan sweep error", { error });
+        process.exit(1);
+      }
+    );
+  } else if (command === "encrypt-profiles") {
+    encryptStoredProfiles({ all: process.argv.includes("--all") }).then(
+      () => process.exit(0),
+      (error) => {
+        logger.error("Field encryption error", { error });
+        process.exit(1);
+      }
+    );
+  } else if (command === "purge-expired") {
+    if (RETENTION_DAYS <= 0) {
+      logger.error("No retention period is configured (RETENTION_DAYS)");
+      process.exit(1);
+    }
+    purgeExpiredRecords({
+      dryRun: process.argv.includes("--dry-run"),
+      trigger: "cli",
+    }).then(
+      (report) => {
+        console.log(JSON.stringify(report, null, 2));
+        process.exitCode = report.failed.length > 0 ? 1 : 0;
+      },
+      (error) => {
+        logger.error("Retention purge error", { error });
+        process.exit(1);
+      }
+    );
+  } else if (command === "webhook-receiver") {
+    startWebhookReceiver();
+  } else if (command === "openapi") {
+    console.log(JSON.stringify(buildApiDocument(), null, 2));
+  } else if (command === "check-openapi") {
+    const { undocumented, stale } = checkApiDocs();
+    for (const route of undocumented) {
+      logger.error("Undocumented route", { route });
+    }
+    for (const route of stale) {
+      logger.error("Documented route does not exist", { route });
+    }
+    // Building the document also fails on schemas zod cannot convert.
+    buildApiDocument();
+    process.exit(undocumented.length + stale.length > 0 ? 1 : 0);
+  } else {
+    const { undocumented } = checkApiDocs();
+    if (undocumented.length > 0) {
+      logger.warn("Routes missing from the OpenAPI document", {
+        routes: undocumented,
+      });
+    }
+
+    app.listen(PORT, () => logger.info("Server running", { port: PORT }));
+
+    if (mailer) {
+      setInterval(() => {
+        processEmailQueue().catch((error) =>
+          logger.error("Email queue error", { error })
+        );
+      }, EMAIL_QUEUE_INTERVAL_SECONDS * 1000);
+    }
+
+    setInterval(() => {
+      processWebhookQueue().catch((error) =>
+        logger.error("Webhook queue error", { error })
+      );
+    }, WEBHOOK_QUEUE_INTERVAL_SECONDS * 1000);
+
+    if (ORPHAN_SWEEP_INTERVAL_MINUTES > 0) {
+      setInterval(() => {
+        sweepOrphans().catch((error) =>
+          logger.error("Orphan sweep error", { error })
+        );
+      }, ORPHAN_SWEEP_INTERVAL_MINUTES * 60 * 1000);
+    }
+
+    if (RETENTION_DAYS > 0 && RETENTION_PURGE_INTERVAL_MINUTES > 0) {
+      setInterval(() => {
+        purgeExpiredRecords({ trigger: "scheduled" }).catch((error) =>
+          logger.error("Retention purge error", { error })
+        );
+      }, RETENTION_PURGE_INTERVAL_MINUTES * 60 * 1000);
+    }
+  }
+}
+
+export {
+  app,
+  mrzCheckDigit,
+  parseMrzTd3,
+  luhnCheckDigit,
+  isValidArrivalCardNo,
+  parseManifestCsv,
+  parseEdifactDate,
+  parsePaxlst,
+  signCardQr,
+  verifyCardQr,
+  signWebhook,
+  verifyWebhookSignature,
+  encryptField,
+  decryptField,
+  blindIndex,
+  pdfStorage,
+  sendCardEmail,
+  startWebhookReceiver,
+};
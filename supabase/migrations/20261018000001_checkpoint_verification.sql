@@ -0,0 +1,6 @@
+alter table entry_form
+  add column if not exists used_at timestamptz,
+  add column if not exists checkpoint_id text;
+
+create unique index if not exists entry_form_qrcode_data_key
+  on entry_form (qrcode_data);
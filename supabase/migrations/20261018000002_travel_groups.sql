@@ -0,0 +1,12 @@
+create table if not exists travel_groups (
+  id uuid primary key default gen_random_uuid(),
+  tr_id bigint not null references travel_information (id),
+  filepath text,
+  created_at timestamptz not null default now()
+);
+
+alter table entry_form
+  add column if not exists group_id uuid references travel_groups (id);
+
+create index if not exists entry_form_group_id_idx on entry_form (group_id);
+create index if not exists entry_form_tr_id_idx on entry_form (tr_id);
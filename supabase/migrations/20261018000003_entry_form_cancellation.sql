@@ -0,0 +1,3 @@
+alter table entry_form
+  add column if not exists cancelled_at timestamptz,
+  add column if not exists cancel_reason text;
@@ -0,0 +1,10 @@
+create table if not exists entry_form_revisions (
+  id bigint generated always as identity primary key,
+  entry_form_id bigint not null references entry_form (id) on delete cascade,
+  revision_no integer not null,
+  changes jsonb not null default '[]'::jsonb,
+  snapshot jsonb not null,
+  source_ip text,
+  created_at timestamptz not null default now(),
+  unique (entry_form_id, revision_no)
+);
@@ -0,0 +1,2 @@
+alter table entry_form
+  add column if not exists language text not null default 'en';
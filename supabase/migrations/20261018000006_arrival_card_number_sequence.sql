@@ -0,0 +1,11 @@
+create sequence if not exists arrival_card_no_seq;
+
+create or replace function next_arrival_card_seq()
+returns bigint
+language sql
+as $$
+  select nextval('arrival_card_no_seq');
+$$;
+
+create unique index if not exists entry_form_arrival_card_no_key
+  on entry_form (arrival_card_no);
@@ -0,0 +1,12 @@
+create table if not exists security_events (
+  id bigint generated always as identity primary key,
+  event_type text not null,
+  ip text,
+  arrival_card_no text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists security_events_created_at_idx
+  on security_events (created_at);
+create index if not exists security_events_ip_idx on security_events (ip);
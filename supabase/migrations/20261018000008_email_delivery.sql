@@ -0,0 +1,17 @@
+alter table profiles
+  add column if not exists email text;
+
+create table if not exists email_outbox (
+  id bigint generated always as identity primary key,
+  entry_form_id bigint not null references entry_form (id) on delete cascade,
+  kind text not null,
+  status text not null default 'pending',
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_error text,
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists email_outbox_pending_idx
+  on email_outbox (next_attempt_at) where status = 'pending';
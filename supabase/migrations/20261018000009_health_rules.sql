@@ -0,0 +1,10 @@
+alter table travel_information
+  add column if not exists health_declarations jsonb not null default '{}',
+  add column if not exists health_requirements text[] not null default '{}';
+
+alter table entry_form
+  add column if not exists health_screening boolean not null default false;
+
+create index if not exists entry_form_health_screening_idx
+  on entry_form (health_screening)
+  where health_screening;
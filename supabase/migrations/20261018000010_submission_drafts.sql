@@ -0,0 +1,15 @@
+create table if not exists submission_drafts (
+  id bigint generated always as identity primary key,
+  token_hash text not null unique,
+  personal_info jsonb,
+  trip_info jsonb,
+  health jsonb,
+  language text,
+  finalizing_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists submission_drafts_expires_at_idx
+  on submission_drafts (expires_at);
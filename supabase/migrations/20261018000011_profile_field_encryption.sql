@@ -0,0 +1,20 @@
+-- Passport number, visa number, phone number and date of birth are
+-- encrypted by the application, so these columns hold opaque text.
+-- Equality lookups go through keyed blind indexes instead.
+alter table profiles
+  alter column passport_no type text using passport_no::text,
+  alter column visa_no type text using visa_no::text,
+  alter column phone_no type text using phone_no::text,
+  alter column date_of_birth type text using date_of_birth::text,
+  add column if not exists encryption_key_version text,
+  add column if not exists passport_no_bidx text,
+  add column if not exists date_of_birth_bidx text;
+
+create index if not exists profiles_passport_no_bidx_idx
+  on profiles (passport_no_bidx);
+create index if not exists profiles_date_of_birth_bidx_idx
+  on profiles (date_of_birth_bidx);
+
+-- Revisions keep copies of the same fields.
+alter table entry_form_revisions
+  add column if not exists encryption_key_version text;
@@ -0,0 +1,41 @@
+alter table entry_form
+  add column if not exists legal_hold_at timestamptz,
+  add column if not exists legal_hold_reason text,
+  add column if not exists purged_at timestamptz,
+  alter column filepath drop not null;
+
+-- Anonymised profiles and trips keep their rows with these cleared.
+alter table profiles
+  alter column family_name drop not null,
+  alter column first_name drop not null,
+  alter column middle_name drop not null,
+  alter column passport_no drop not null,
+  alter column visa_no drop not null,
+  alter column phone_no_code drop not null,
+  alter column phone_no drop not null,
+  alter column email drop not null,
+  alter column date_of_birth drop not null,
+  alter column selected_city drop not null;
+
+alter table travel_information
+  alter column address drop not null,
+  alter column post_code drop not null,
+  alter column sub_district drop not null;
+
+-- No foreign key: the record has to outlive the card it describes.
+create table if not exists retention_audit (
+  id bigint generated always as identity primary key,
+  action text not null,
+  entry_form_id bigint not null,
+  arrival_card_no text not null,
+  basis_date date,
+  retention_days integer,
+  reason text,
+  trigger text not null,
+  source_ip text,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists retention_audit_arrival_card_no_idx
+  on retention_audit (arrival_card_no);
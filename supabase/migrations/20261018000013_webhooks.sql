@@ -0,0 +1,30 @@
+create table if not exists webhook_subscriptions (
+  id bigint generated always as identity primary key,
+  url text not null,
+  events text[] not null,
+  description text,
+  secret text not null,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- One row per event and subscriber. The payload is built when it is sent.
+create table if not exists webhook_deliveries (
+  id bigint generated always as identity primary key,
+  subscription_id bigint not null references webhook_subscriptions (id) on delete cascade,
+  entry_form_id bigint not null references entry_form (id) on delete cascade,
+  event text not null,
+  event_id uuid not null,
+  status text not null default 'pending',
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_error text,
+  last_status_code integer,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_pending_idx
+  on webhook_deliveries (next_attempt_at) where status = 'pending';
+create index if not exists webhook_deliveries_dead_idx
+  on webhook_deliveries (id) where status = 'dead';
@@ -0,0 +1,5 @@
+alter table email_outbox
+  add column if not exists claimed_at timestamptz;
+
+create index if not exists email_outbox_sending_idx
+  on email_outbox (claimed_at) where status = 'sending';
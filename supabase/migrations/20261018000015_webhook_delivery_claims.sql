@@ -0,0 +1,5 @@
+alter table webhook_deliveries
+  add column if not exists claimed_at timestamptz;
+
+create index if not exists webhook_deliveries_sending_idx
+  on webhook_deliveries (claimed_at) where status = 'sending';
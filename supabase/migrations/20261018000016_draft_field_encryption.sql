@@ -0,0 +1,4 @@
+-- Drafts keep the same personal fields as profiles, encrypted by the
+-- application inside personal_info.
+alter table submission_drafts
+  add column if not exists encryption_key_version text;
@@ -0,0 +1,95 @@
+-- Revision numbers are assigned while the card row is locked, so two
+-- updates to the same card cannot both take the next number.
+create or replace function record_entry_revisions(p_revisions jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  revision jsonb;
+begin
+  for revision in select * from jsonb_array_elements(p_revisions) loop
+    perform 1
+      from entry_form
+      where id = (revision->>'entry_form_id')::bigint
+      for update;
+
+    insert into entry_form_revisions (
+      entry_form_id,
+      revision_no,
+      changes,
+      snapshot,
+      encryption_key_version,
+      source_ip
+    )
+    select
+      (revision->>'entry_form_id')::bigint,
+      coalesce(max(revision_no), 0) + 1,
+      revision->'changes',
+      revision->'snapshot',
+      revision->>'encryption_key_version',
+      revision->>'source_ip'
+    from entry_form_revisions
+    where entry_form_id = (revision->>'entry_form_id')::bigint;
+  end loop;
+end;
+$$;
+
+-- Saves a card update and its revisions in one transaction, so a change is
+-- never stored without its revision. Only the keys present in p_profile and
+-- p_travel are written.
+create or replace function update_entry_with_revisions(
+  p_entry_form_id bigint,
+  p_profile jsonb,
+  p_travel jsonb,
+  p_health_screening boolean,
+  p_language text,
+  p_revisions jsonb
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_profile_id bigint;
+  v_tr_id bigint;
+begin
+  select profile_id, tr_id
+    into strict v_profile_id, v_tr_id
+    from entry_form
+    where id = p_entry_form_id;
+
+  -- Group members share the trip, so their updates queue up here before
+  -- any card row is locked.
+  perform 1 from travel_information where id = v_tr_id for update;
+
+  execute format(
+    'update profiles set (%s) = (select %1$s from jsonb_populate_record(null::profiles, $1)) where id = $2',
+    (select string_agg(quote_ident(key), ', ') from jsonb_object_keys(p_profile) key)
+  ) using p_profile, v_profile_id;
+
+  execute format(
+    'update travel_information set (%s) = (select %1$s from jsonb_populate_record(null::travel_information, $1)) where id = $2',
+    (select string_agg(quote_ident(key), ', ') from jsonb_object_keys(p_travel) key)
+  ) using p_travel, v_tr_id;
+
+  update entry_form
+    set health_screening = p_health_screening
+    where tr_id = v_tr_id;
+
+  update entry_form
+    set language = p_language
+    where id = p_entry_form_id;
+
+  perform record_entry_revisions(p_revisions);
+end;
+$$;
+
+-- They write without the row checks of the REST API, so only the server
+-- may call them.
+revoke execute on function record_entry_revisions(jsonb)
+  from public, anon, authenticated;
+revoke execute on function update_entry_with_revisions(bigint, jsonb, jsonb, boolean, text, jsonb)
+  from public, anon, authenticated;
+grant execute on function record_entry_revisions(jsonb)
+  to service_role;
+grant execute on function update_entry_with_revisions(bigint, jsonb, jsonb, boolean, text, jsonb)
+  to service_role;
@@ -0,0 +1,139 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { loadServer } from "./helpers.js";
+
+const {
+  signCardQr,
+  verifyCardQr,
+  signWebhook,
+  verifyWebhookSignature,
+  encryptField,
+  decryptField,
+  blindIndex,
+} = await loadServer();
+
+const personalData = { passport_no: "p1234567" };
+const tripData = { date_of_arrival: "2026-10-18" };
+
+test("verifyCardQr returns the payload of a card it signed", () => {
+  const token = signCardQr("TD2610180000428", personalData, tripData);
+  const payload = verifyCardQr(token);
+
+  assert.equal(payload.no, "TD2610180000428");
+  assert.equal(payload.arr, "2026-10-18");
+  assert.ok(payload.exp > payload.arr);
+  // The passport is hashed, not carried in the QR.
+  assert.ok(!token.includes("1234567"));
+  // Devices hash the passport they hold however it was typed.
+  const retyped = signCardQr(
+    "TD2610180000428",
+    { passport_no: " P1234567 " },
+    tripData
+  );
+  assert.equal(verifyCardQr(retyped).ph, payload.ph);
+});
+
+test("verifyCardQr rejects tampered and foreign tokens", () => {
+  const token = signCardQr("TD2610180000428", personalData, tripData);
+  const [header, payload, signature] = token.split(".");
+  const forged = Buffer.from(
+    JSON.stringify({
+      ...JSON.parse(Buffer.from(payload, "base64url")),
+      arr: "2026-12-31",
+    })
+  ).toString("base64url");
+
+  assert.equal(verifyCardQr(`${header}.${forged}.${signature}`), null);
+  assert.equal(verifyCardQr(`${header}.${payload}`), null);
+  assert.equal(verifyCardQr("not-a-token"), null);
+
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  const foreign = crypto
+    .sign(null, Buffer.from(`${header}.${payload}`), privateKey)
+    .toString("base64url");
+  assert.equal(verifyCardQr(`${header}.${payload}.${foreign}`), null);
+});
+
+test("verifyWebhookSignature accepts what signWebhook produces", () => {
+  const body = JSON.stringify({ id: "evt_1", type: "card.created" });
+  const now = Date.now();
+  const timestamp = Math.floor(now / 1000);
+  const header = signWebhook("whsec_test", body, timestamp);
+
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.equal(verifyWebhookSignature("whsec_test", header, body, now), true);
+  assert.equal(verifyWebhookSignature("whsec_other", header, body, now), false);
+  assert.equal(
+    verifyWebhookSignature("whsec_test", header, `${body} `, now),
+    false
+  );
+  assert.equal(verifyWebhookSignature("whsec_test", undefined, body), false);
+});
+
+test("verifyWebhookSignature rejects old and re-dated signatures", () => {
+  const body = "{}";
+  const now = Date.now();
+  const old = Math.floor(now / 1000) - 10 * 60;
+  const header = signWebhook("whsec_test", body, old);
+
+  assert.equal(verifyWebhookSignature("whsec_test", header, body, now), false);
+  const redated = header.replace(/^t=\d+/, `t=${Math.floor(now / 1000)}`);
+  assert.equal(verifyWebhookSignature("whsec_test", redated, body, now), false);
+});
+
+test("encryptField round-trips with the current key version", () => {
+  const encrypted = encryptField("passport_no", "P1234567");
+
+  assert.match(encrypted, /^v2:/);
+  assert.notEqual(encrypted, encryptField("passport_no", "P1234567"));
+  assert.equal(decryptField("passport_no", encrypted), "P1234567");
+  assert.equal(
+    decryptField("phone_no", encryptField("phone_no", 812345678)),
+    "812345678"
+  );
+  assert.equal(encryptField("visa_no", null), null);
+  assert.equal(decryptField("visa_no", undefined), undefined);
+});
+
+test("decryptField refuses values moved to another field or altered", () => {
+  const encrypted = encryptField("passport_no", "P1234567");
+  assert.throws(() => decryptField("visa_no", encrypted));
+
+  const [version, iv, tag, ciphertext] = encrypted.split(":");
+  const altered = Buffer.from(ciphertext, "base64url");
+  altered[0] ^= 1;
+  assert.throws(() =>
+    decryptField(
+      "passport_no",
+      [version, iv, tag, altered.toString("base64url")].join(":")
+    )
+  );
+  assert.throws(
+    () => decryptField("passport_no", encrypted.replace(/^v2/, "v9")),
+    /Unknown field encryption key "v9"/
+  );
+});
+
+test("decryptField reads emails stored before they were encrypted", () => {
+  assert.equal(decryptField("email", "jane@example.com"), "jane@example.com");
+  assert.equal(
+    decryptField("email", encryptField("email", "jane@example.com")),
+    "jane@example.com"
+  );
+});
+
+test("blindIndex matches however the value was typed", () => {
+  assert.equal(
+    blindIndex("passport_no", "p 123-4567"),
+    blindIndex("passport_no", "P1234567")
+  );
+  assert.notEqual(
+    blindIndex("passport_no", "P1234567"),
+    blindIndex("passport_no", "P1234568")
+  );
+  assert.equal(
+    blindIndex("date_of_birth", "1980-01-02T00:00:00Z"),
+    blindIndex("date_of_birth", "1980-01-02")
+  );
+});
@@ -0,0 +1,142 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import net from "net";
+import os from "os";
+import path from "path";
+import { loadServer } from "./helpers.js";
+
+// Just enough SMTP to take a message without STARTTLS or auth.
+const messages = [];
+const smtp = net.createServer((socket) => {
+  let data = null;
+  const envelope = { to: [] };
+  socket.setEncoding("utf8");
+  socket.write("220 localhost ESMTP\r\n");
+
+  let buffered = "";
+  socket.on("data", (chunk) => {
+    buffered += chunk;
+    if (data !== null) {
+      const end = buffered.indexOf("\r\n.\r\n");
+      if (end < 0) return;
+      messages.push({ ...envelope, data: buffered.slice(0, end) });
+      buffered = buffered.slice(end + 5);
+      data = null;
+      socket.write("250 OK\r\n");
+    }
+
+    let newline;
+    while (data === null && (newline = buffered.indexOf("\r\n")) >= 0) {
+      const line = buffered.slice(0, newline);
+      buffered = buffered.slice(newline + 2);
+      const [verb] = line.split(/[ :]/);
+
+      if (verb.toUpperCase() === "RCPT") {
+        envelope.to.push(line.match(/<(.*)>/)[1]);
+      }
+      if (verb.toUpperCase() === "DATA") {
+        data = "";
+        socket.write("354 Go ahead\r\n");
+      } else if (verb.toUpperCase() === "QUIT") {
+        socket.end("221 Bye\r\n");
+      } else {
+        socket.write("250 OK\r\n");
+      }
+    }
+  });
+});
+
+// Answers the one query sendCardEmail makes through supabase-js.
+let entry;
+const requests = [];
+const postgrest = http.createServer((req, res) => {
+  requests.push(req.url);
+  res
+    .writeHead(200, { "content-type": "application/json" })
+    .end(JSON.stringify(entry));
+});
+
+await new Promise((resolve) => smtp.listen(0, "127.0.0.1", resolve));
+await new Promise((resolve) => postgrest.listen(0, "127.0.0.1", resolve));
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), "arrival-mail-"));
+const { sendCardEmail, encryptField, pdfStorage } = await loadServer({
+  SUPABASE_URL: `http://127.0.0.1:${postgrest.address().port}`,
+  SMTP_HOST: "127.0.0.1",
+  SMTP_PORT: String(smtp.address().port),
+  MAIL_FROM: "cards@example.org",
+  PDF_STORAGE: "local",
+  PDF_STORAGE_DIR: root,
+});
+
+after(async () => {
+  smtp.close();
+  postgrest.close();
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  messages.length = 0;
+  requests.length = 0;
+  entry = {
+    id: 7,
+    arrival_card_no: "TD2610180000428",
+    filepath: "http://localhost/files/pdfs/TD2610180000428.pdf?t=1",
+    language: "en",
+    profiles: {
+      first_name: "Jane",
+      family_name: "Doe",
+      email: encryptField("email", "jane@example.com"),
+      encryption_key_version: "v2",
+    },
+    travel_information: { date_of_arrival: "2026-10-18" },
+  };
+  await pdfStorage.put("TD2610180000428.pdf", Buffer.from("%PDF-1.7 card"), {
+    upsert: true,
+  });
+});
+
+test("sendCardEmail mails the stored card to the decrypted address", async () => {
+  await sendCardEmail({ entry_form_id: 7, kind: "issued" });
+
+  assert.match(requests[0], /^\/rest\/v1\/entry_form\?.*id=eq\.7/);
+  assert.equal(messages.length, 1);
+  const [{ to, data }] = messages;
+  assert.deepEqual(to, ["jane@example.com"]);
+  assert.match(data, /^From: cards@example\.org$/m);
+  assert.match(
+    data,
+    /^Subject: Your Thailand Digital Arrival Card TD2610180000428$/m
+  );
+  assert.match(data, /filename=arrival-card-TD2610180000428\.pdf/);
+  assert.ok(
+    data.includes(Buffer.from("%PDF-1.7 card").toString("base64")),
+    "the PDF is attached"
+  );
+});
+
+test("sendCardEmail writes in the card's language", async () => {
+  entry.language = "th";
+  await sendCardEmail({ entry_form_id: 7, kind: "updated" });
+
+  const [{ data }] = messages;
+  assert.match(data, /^Subject: =\?UTF-8\?/m);
+});
+
+test("sendCardEmail fails without an address or a stored PDF", async () => {
+  entry.profiles.email = null;
+  await assert.rejects(
+    sendCardEmail({ entry_form_id: 7, kind: "issued" }),
+    /No email address on file/
+  );
+
+  entry.profiles.email = "jane@example.com";
+  await pdfStorage.remove("TD2610180000428.pdf");
+  await assert.rejects(
+    sendCardEmail({ entry_form_id: 7, kind: "resend" }),
+    /PDF not found/
+  );
+  assert.equal(messages.length, 0);
+});
@@ -0,0 +1,19 @@
+import crypto from "crypto";
+
+const randomKey = () => crypto.randomBytes(32).toString("base64");
+
+// Loads server.js with throwaway keys. Each test file runs in its own
+// process, so env set here only lasts for that file.
+export const loadServer = (env = {}) => {
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    LOG_LEVEL: "error",
+    SUPABASE_URL: "http://127.0.0.1:9",
+    SUPABASE_SERVICE_KEY: "test",
+    FIELD_ENCRYPTION_KEYS: `v2:${randomKey()},v1:${randomKey()}`,
+    BLIND_INDEX_KEY: randomKey(),
+    EDIT_TOKEN_SECRET: randomKey(),
+    ...env,
+  });
+  return import("../server.js");
+};
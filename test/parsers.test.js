@@ -0,0 +1,192 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+
+const {
+  mrzCheckDigit,
+  parseMrzTd3,
+  luhnCheckDigit,
+  isValidArrivalCardNo,
+  parseManifestCsv,
+  parseEdifactDate,
+  parsePaxlst,
+} = await loadServer();
+
+// The specimen passport from ICAO 9303 part 4.
+const SPECIMEN_MRZ = [
+  "P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<",
+  "L898902C36UTO7408122F1204159ZE184226B<<<<<10",
+];
+
+test("mrzCheckDigit matches the ICAO specimen", () => {
+  assert.equal(mrzCheckDigit("L898902C3"), "6");
+  assert.equal(mrzCheckDigit("740812"), "2");
+  assert.equal(mrzCheckDigit("120415"), "9");
+  assert.equal(mrzCheckDigit("ZE184226B<<<<<"), "1");
+});
+
+test("parseMrzTd3 maps the specimen onto the personal info fields", () => {
+  const { errors, personalInfo, document } = parseMrzTd3(SPECIMEN_MRZ);
+
+  assert.equal(errors, undefined);
+  assert.deepEqual(
+    { ...personalInfo, selected_nationality: undefined },
+    {
+      family_name: "ERIKSSON",
+      first_name: "ANNA",
+      middle_name: "MARIA",
+      passport_no: "L898902C3",
+      selected_nationality: undefined,
+      gender: "FEMALE",
+      date_of_birth: "1974-08-12",
+    }
+  );
+  assert.equal(document.type, "P");
+  assert.equal(document.expiryDate, "2012-04-15");
+  assert.equal(document.expired, true);
+});
+
+test("parseMrzTd3 accepts the lines as one string in any case", () => {
+  const { errors, personalInfo } = parseMrzTd3(
+    SPECIMEN_MRZ.join("\r\n").toLowerCase()
+  );
+  assert.equal(errors, undefined);
+  assert.equal(personalInfo.passport_no, "L898902C3");
+});
+
+test("parseMrzTd3 reports the field whose check digit fails", () => {
+  const line2 = SPECIMEN_MRZ[1].replace("L898902C3", "L898902C4");
+  const { errors } = parseMrzTd3([SPECIMEN_MRZ[0], line2]);
+  assert.deepEqual(Object.keys(errors), ["passport_no", "mrz"]);
+});
+
+test("parseMrzTd3 rejects lines that are not a passport MRZ", () => {
+  assert.ok(parseMrzTd3("P<UTOERIKSSON").errors.mrz);
+  assert.ok(
+    parseMrzTd3([SPECIMEN_MRZ[0].replace(/^P/, "I"), SPECIMEN_MRZ[1]]).errors
+      .mrz
+  );
+});
+
+test("luhnCheckDigit and isValidArrivalCardNo", () => {
+  assert.equal(luhnCheckDigit("7992739871"), "3");
+  assert.equal(luhnCheckDigit("261018000042"), "8");
+
+  assert.equal(isValidArrivalCardNo("TD2610180000428"), true);
+  assert.equal(isValidArrivalCardNo("TD2610180000427"), false);
+  // Two swapped digits change the check digit.
+  assert.equal(isValidArrivalCardNo("TD2610180000248"), false);
+  assert.equal(isValidArrivalCardNo("12345"), true);
+  assert.equal(isValidArrivalCardNo("1234"), false);
+});
+
+test("parseManifestCsv reads aliased headers and quoted fields", () => {
+  const manifest = parseManifestCsv(
+    [
+      "Surname,Given_Names,Passport,DOB,Nationality,Flight_No,Arrival_Date",
+      '"O\'Brien, Jr",Sean,P1234567,1980-01-02,IRL,TG 915,2026-10-18',
+      '"Doe ""JD""",Jane,X7654321,,,,',
+      "",
+    ].join("\r\n")
+  );
+
+  assert.equal(manifest.flight, "TG 915");
+  assert.equal(manifest.date, "2026-10-18");
+  assert.deepEqual(manifest.passengers, [
+    {
+      passport_no: "P1234567",
+      family_name: "O'Brien, Jr",
+      first_name: "Sean",
+      date_of_birth: "1980-01-02",
+      nationality: "IRL",
+      flight: "TG 915",
+      date: "2026-10-18",
+    },
+    {
+      passport_no: "X7654321",
+      family_name: 'Doe "JD"',
+      first_name: "Jane",
+      date_of_birth: undefined,
+      nationality: undefined,
+      flight: undefined,
+      date: undefined,
+    },
+  ]);
+});
+
+test("parseManifestCsv needs the passport and family name columns", () => {
+  assert.throws(() => parseManifestCsv(""), /empty/);
+  assert.throws(
+    () => parseManifestCsv("first_name,passport_no\nJane,X1\n"),
+    /passport_no and family_name/
+  );
+});
+
+test("parseEdifactDate handles both formats and birth centuries", () => {
+  assert.equal(parseEdifactDate("2610180930", "201"), "2026-10-18");
+  assert.equal(parseEdifactDate("20261018", "102"), "2026-10-18");
+  assert.equal(
+    parseEdifactDate("800102", undefined, { past: true }),
+    "1980-01-02"
+  );
+  assert.equal(
+    parseEdifactDate("050102", undefined, { past: true }),
+    "2005-01-02"
+  );
+  assert.equal(parseEdifactDate(undefined), undefined);
+});
+
+test("parsePaxlst reads passengers and skips crew", () => {
+  const manifest = parsePaxlst(
+    [
+      "UNA:+.? '",
+      "UNB+UNOA:4+AIRLINE+THAIMMIGRATION+261018:0800+1'",
+      "TDT+20+TG915'",
+      "LOC+125+LHR'",
+      "DTM+232:2610180930:201'",
+      "NAD+FM+++PILOT:JOHN'",
+      "DOC+P:110:111+C0000001'",
+      "NAD+FL+++O?'BRIEN:SEAN:PATRICK'",
+      "DTM+329:800102'",
+      "NAT+2+IRL'",
+      "DOC+P:110:111+P1234567'",
+      "DOC+V+V999'",
+      "NAD+FL+++SMITH?:JONES:ANNA'",
+      "DTM+329:19990315:102'",
+      "DOC+P+X7?+1'",
+      "UNT+12+1'",
+    ].join("\n")
+  );
+
+  assert.equal(manifest.flight, "TG915");
+  assert.equal(manifest.date, "2026-10-18");
+  assert.deepEqual(manifest.passengers, [
+    {
+      family_name: "O'BRIEN",
+      first_name: "SEAN PATRICK",
+      date_of_birth: "1980-01-02",
+      nationality: "IRL",
+      passport_no: "P1234567",
+    },
+    {
+      family_name: "SMITH:JONES",
+      first_name: "ANNA",
+      date_of_birth: "1999-03-15",
+      passport_no: "X7+1",
+    },
+  ]);
+});
+
+test("parsePaxlst uses the separators from the UNA segment", () => {
+  const manifest = parsePaxlst(
+    "UNA|*.! ~TDT*20*TG916~NAD*FL***DOE|JANE~DOC*P*A1!~2~"
+  );
+  assert.equal(manifest.flight, "TG916");
+  assert.deepEqual(manifest.passengers, [
+    { family_name: "DOE", first_name: "JANE", passport_no: "A1~2" },
+  ]);
+});
+
+test("parsePaxlst needs at least one passenger", () => {
+  assert.throws(() => parsePaxlst("NAD+FM+++PILOT:JOHN'"), /No passengers/);
+});
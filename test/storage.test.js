@@ -0,0 +1,72 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { loadServer } from "./helpers.js";
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), "arrival-pdfs-"));
+const { app, pdfStorage } = await loadServer({
+  PDF_STORAGE: "local",
+  PDF_STORAGE_DIR: path.join(root, "pdfs"),
+  PUBLIC_BASE_URL: "https://cards.example.org",
+});
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+after(async () => {
+  server.close();
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+const pdf = Buffer.from("%PDF-1.7 test");
+
+test("local storage writes, reads and removes files", async () => {
+  assert.equal(await pdfStorage.get("missing.pdf"), null);
+
+  await pdfStorage.put("card.pdf", pdf, { upsert: false });
+  assert.deepEqual(await pdfStorage.get("card.pdf"), pdf);
+  assert.equal(
+    pdfStorage.publicUrl("card.pdf"),
+    "https://cards.example.org/files/pdfs/card.pdf"
+  );
+
+  await pdfStorage.remove("card.pdf");
+  assert.equal(await pdfStorage.get("card.pdf"), null);
+  // Removing a file that is already gone is not an error.
+  await pdfStorage.remove("card.pdf");
+});
+
+test("local storage only overwrites on upsert", async () => {
+  await pdfStorage.put("upsert.pdf", pdf, { upsert: false });
+  await assert.rejects(
+    pdfStorage.put("upsert.pdf", Buffer.from("other"), { upsert: false }),
+    { code: "EEXIST" }
+  );
+
+  await pdfStorage.put("upsert.pdf", Buffer.from("other"), { upsert: true });
+  assert.equal((await pdfStorage.get("upsert.pdf")).toString(), "other");
+});
+
+test("stored PDFs are served under /files", async () => {
+  await pdfStorage.put("served.pdf", pdf, { upsert: true });
+
+  const response = await fetch(`${baseUrl}/files/pdfs/served.pdf`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "application/pdf");
+  assert.deepEqual(Buffer.from(await response.arrayBuffer()), pdf);
+
+  const missing = await fetch(`${baseUrl}/files/pdfs/missing.pdf`);
+  assert.equal(missing.status, 404);
+});
+
+test("/files only serves PDFs inside the storage directory", async () => {
+  await fs.writeFile(path.join(root, "outside.pdf"), pdf);
+  await pdfStorage.put("notes.txt", pdf, { upsert: true });
+
+  for (const fileName of ["..%2Foutside.pdf", "notes.txt"]) {
+    const response = await fetch(`${baseUrl}/files/pdfs/${fileName}`);
+    assert.equal(response.status, 404, fileName);
+  }
+});
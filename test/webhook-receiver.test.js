@@ -0,0 +1,55 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { loadServer } from "./helpers.js";
+
+const { startWebhookReceiver, signWebhook } = await loadServer({
+  WEBHOOK_RECEIVER_PORT: "0",
+  WEBHOOK_RECEIVER_SECRET: "whsec_test",
+  WEBHOOK_RECEIVER_STATUS: "202",
+});
+
+const receiver = startWebhookReceiver();
+await once(receiver, "listening");
+const url = `http://127.0.0.1:${receiver.address().port}/`;
+
+after(() => receiver.close());
+
+const deliver = (body, signature) =>
+  fetch(url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "x-webhook-event": "card.created",
+      "x-webhook-id": "evt_1",
+      ...(signature && { "x-webhook-signature": signature }),
+    },
+    body,
+  });
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test("the receiver answers signed deliveries with its configured status", async () => {
+  const body = JSON.stringify({ id: "evt_1", type: "card.created" });
+  const response = await deliver(body, signWebhook("whsec_test", body, now()));
+  assert.equal(response.status, 202);
+});
+
+test("the receiver rejects unsigned and wrongly signed deliveries", async () => {
+  const body = JSON.stringify({ id: "evt_1", type: "card.created" });
+
+  assert.equal((await deliver(body)).status, 401);
+  assert.equal(
+    (await deliver(body, signWebhook("whsec_other", body, now()))).status,
+    401
+  );
+  assert.equal(
+    (await deliver(`${body} `, signWebhook("whsec_test", body, now()))).status,
+    401
+  );
+});
+
+test("the receiver needs a secret", () => {
+  delete process.env.WEBHOOK_RECEIVER_SECRET;
+  assert.throws(startWebhookReceiver, /WEBHOOK_RECEIVER_SECRET is not set/);
+});